@@ -29,6 +29,10 @@ scene("main", () => {
     loquace.start("finish");
   });
 
+  // Observe the dialog lifecycle
+  loquace.on("labelStart", (label) => console.log(`Entering label ${label}`));
+  loquace.on("end", () => console.log("Conversation over"));
+
   loquace.registerCommand("sayHi", () => {
     console.log("Hi!");
     console.log("Press Z to finish the script");
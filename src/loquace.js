@@ -12,13 +12,42 @@ export {
   init,
   characters,
   script,
+  loadScript,
+  parseScript,
   registerCommand,
+  createRunner,
+  registerStyle,
+  registerTheme,
+  registerDialogType,
+  onEvent as on,
+  setAuto,
+  setSkip,
+  getHistory as history,
+  setBacklog,
+  locales,
+  setLocale,
+  getLocale,
+  extractStrings,
+  validate,
+  variables,
+  setVar,
+  getVar,
+  saveSnapshot as save,
+  loadSnapshot as load,
+  saveSlot,
+  loadSlot,
+  deleteSlot,
   start,
+  playLabel as play,
+  say,
   next,
   parse,
   clear,
   pop,
   vn,
+  thought,
+  nvl,
+  chat,
 };
 
 // Allow use of loquace as a KAPLAY plugin
@@ -29,29 +58,185 @@ function loquacePlugin() {
       init,
       characters,
       script,
+      loadScript,
+      parseScript,
       registerCommand,
+      createRunner,
+      registerStyle,
+      registerTheme,
+      registerDialogType,
+      on: onEvent,
+      setAuto,
+      setSkip,
+      history: getHistory,
+      setBacklog,
+      locales,
+      setLocale,
+      getLocale,
+      extractStrings,
+      validate,
+      variables,
+      setVar,
+      getVar,
+      save: saveSnapshot,
+      load: loadSnapshot,
+      saveSlot,
+      loadSlot,
+      deleteSlot,
       start,
+      play: playLabel,
+      say,
       next,
       parse,
       clear,
       pop,
       vn,
+      thought,
+      nvl,
+      chat,
     },
   };
 }
 
 const _characters = {};
 let _script = {};
-let statements;
-let statementCounter = 0;
+const variables = {}; // Story variables, usable in expressions and dialogs
+let runner = createRunnerState(); // Script position and dialogs the functions act on
+const defaultRunner = runner; // Used by the global functions
+const runners = [defaultRunner]; // Every runner, advanced by auto and skip modes
+let readStatements = new Set(); // Statements displayed at least once: "label:index"
+let autoMode = false;
+let skipMode = false;
+let controllerObj = null; // Game object hosting input and auto advance, kept across scenes
+const stage = {}; // Characters on stage: { who: { obj, expression, slot } }
+let background = null; // Current background: { name, obj }
+let backlogObj = null; // Backlog overlay, while open
+let debugOverlayObj = null; // Debug overlay, kept across scenes
+let music = null; // Current music: { name, handle, level }
+let fadingMusic = []; // Previous music, fading out
+let musicTweens = []; // Running music transition
+let locale = null; // Current locale, null for the text of the script itself
+const localeTables = {}; // Translated strings by locale: { fr: { key: text } }
+let backgroundTweens = []; // Running background transition
 
 // Default configuration
 const config = {
   showNextPrompt: true,
 
+  // Debug mode (set with init): trace to the console, show an overlay
+  debug: false,
+  debugOverlay: {
+    toggle: { keyboard: ["f2"] }, // Show or hide the overlay
+    width: 320,
+    padding: 8,
+    textOptions: { size: 12 },
+    z: 200,
+  },
+
+  // Prefix of localStorage keys used by saveSlot() and loadSlot()
+  saveKeyPrefix: "loquace-save-",
+
+  // Let Loquace handle input to advance dialogs and toggle modes
+  handleInput: false,
+
+  // Input bindings (same format as KAPLAY buttons), used with handleInput
+  input: {
+    next: { keyboard: ["space", "enter"], gamepad: ["south"] },
+    auto: { keyboard: ["a"], gamepad: ["north"] },
+    skip: { keyboard: ["tab"], gamepad: ["east"] },
+    backlog: { keyboard: ["l"], gamepad: ["west"] },
+    clickToAdvance: true, // Click or tap on a dialog box to advance
+  },
+
+  // Auto mode: wait before advancing a fully displayed line (in seconds)
+  auto: {
+    delay: 1,
+    perCharacterDelay: 0.04,
+  },
+
+  // Skip mode: wait between skipped lines (in seconds)
+  skip: {
+    delay: 0.1,
+    unread: false, // Also skip lines never displayed before
+  },
+
+  // Dialog history, and the backlog overlay listing it
+  history: {
+    capacity: 100, // Number of lines kept, the oldest are dropped
+    backlog: {
+      color: { r: 0, g: 0, b: 0 },
+      opacity: 0.85,
+      padding: 40,
+      spacing: 16, // Space between lines
+      scrollStep: 40,
+      z: 100,
+      nameText: {
+        color: { r: 255, g: 220, b: 120 },
+        options: { size: 18 },
+      },
+      dialogText: {
+        color: { r: 255, g: 255, b: 255 },
+        options: { size: 18 },
+      },
+      choiceText: {
+        color: { r: 150, g: 200, b: 255 },
+        options: { size: 18 },
+      },
+      // Input bindings while open (same format as KAPLAY buttons)
+      input: {
+        up: { keyboard: ["up"], gamepad: ["dpad-up"] },
+        down: { keyboard: ["down"], gamepad: ["dpad-down"] },
+        close: { keyboard: ["escape", "l"], gamepad: ["west"] },
+      },
+    },
+  },
+
+  // Character sprites on stage, shown with `show r:happy at left`
+  stage: {
+    slots: { left: 0.2, center: 0.5, right: 0.8 }, // Fraction of screen width
+    defaultSlot: "center",
+    y: 1, // Fraction of screen height, sprites are anchored at their bottom
+    spriteOptions: {}, // KAPLAY sprite() options, e.g. { height: 400 }
+    transition: "fade", // Default transition: "fade", "slide" or "none"
+    duration: 0.4, // Transition and move duration (in seconds)
+    dimInactive: true, // Dim characters on stage while another one speaks
+    dimColor: { r: 128, g: 128, b: 128 },
+    z: 0,
+  },
+
+  // Sounds played with music, sfx and voice commands, and typewriter blips
+  audio: {
+    volume: { music: 1, sfx: 1, voice: 1 }, // Channels, blips use voice
+    music: {
+      loop: true,
+      transition: "fade", // Default transition: "fade", "crossfade" or "none"
+      duration: 1, // Transition duration (in seconds)
+    },
+  },
+
+  // Backgrounds, set with `bg forest with crossfade`
+  background: {
+    transition: "fade", // Default transition: "fade", "crossfade", "fadeToBlack" or "none"
+    duration: 1, // Transition duration (in seconds)
+    spriteOptions: null, // KAPLAY sprite() options, default: fill the screen
+    z: -1, // Beneath stage and dialogs
+  },
+
+  // Input bindings for choice selection (same format as KAPLAY buttons)
+  choiceInput: {
+    up: { keyboard: ["up", "w"], gamepad: ["dpad-up"] },
+    down: { keyboard: ["down", "s"], gamepad: ["dpad-down"] },
+    select: { keyboard: ["enter", "space"], gamepad: ["south"] },
+  },
+
   // Default values for pop dialog
   pop: {
     position: "topleft",
+    bubble: {
+      // When following a speaker (the follow option)
+      gap: 6, // Space between the tail and the speaker
+      tail: { width: 20, height: 14 },
+    },
     sideImage: {
       options: {
         // For the sprite object
@@ -71,7 +256,11 @@ const config = {
         // For the rect object
         radius: 15,
       },
+      sprite: null, // Sprite name, drawn instead of the rect (load it with slice9 for a nine-slice box)
+      border: null, // { width: 2, color: { r: 0, g: 0, b: 0 } }
+      shadow: null, // { offset: { x: 4, y: 4 }, color: { r: 0, g: 0, b: 0 }, opacity: 0.3 }
     },
+    font: null, // Font of every text of the dialog, unless set in their own options
     dialogText: {
       offsetX: 1,
       options: {
@@ -82,15 +271,259 @@ const config = {
         width: 350,
       },
     },
+    nameBox: {
+      position: "inside", // "inside" the text box, before the text, or "above" it
+      offsetX: 20, // From the left of the text box (when above)
+      margin: 5, // Space between the name box and the text box or text
+      padding: {
+        top: 5,
+        right: 10,
+        bottom: 5,
+        left: 10,
+      },
+      color: { r: 40, g: 40, b: 40 },
+      options: {
+        // For the rect object
+        radius: 8,
+      },
+    },
+    nameText: {
+      color: { r: 255, g: 255, b: 255 },
+      options: {
+        // For the text object
+        size: 16,
+      },
+    },
+    choiceText: {
+      spacing: 10, // Vertical space above each choice
+      indent: 20,
+      color: { r: 90, g: 90, b: 90 },
+      selectedColor: { r: 0, g: 110, b: 220 },
+      options: {
+        // For the text object
+        size: 18,
+        lineSpacing: 6,
+      },
+    },
+    typewriter: {
+      speed: 0, // Characters per second (0: display text instantly)
+      punctuationPause: {
+        // Extra pause (in seconds) after punctuation followed by a space
+        ".": 0.3,
+        "!": 0.3,
+        "?": 0.3,
+        ",": 0.15,
+        ";": 0.15,
+        ":": 0.15,
+      },
+      sound: null, // Sound name, played as characters are revealed
+      soundEvery: 2, // Play sound every n characters
+      soundOptions: {
+        // For play()
+        volume: 0.5,
+      },
+    },
+    nextPrompt: {
+      name: "right-arrow",
+      anim: null, // Sprite animation to loop, instead of pulsing
+      options: {
+        width: 20,
+      },
+    },
+    transition: {
+      // Presets: "fade", "slide" (from the top or bottom edge), "slideUp",
+      // "slideDown", "slideLeft", "slideRight", "scale" or "none"
+      enter: "slide", // Unless doTween is false
+      exit: "fade", // Unless doTween is false
+      duration: 0.5, // Seconds
+      easing: "easeOutQuad", // Name of a KAPLAY easing
+    },
+    doTween: true,
+  },
+
+  // Default values for thought dialog, over the ones of pop
+  thought: {
+    textBox: {
+      color: { r: 235, g: 240, b: 255 },
+      options: {
+        // For the rect object
+        radius: 40,
+      },
+    },
+    trail: {
+      // Small circles under the bubble, toward the thinker
+      count: 3,
+      size: 12, // Diameter of the largest circle
+      offsetX: 40, // From the left of the bubble (unless following a speaker)
+    },
+  },
+
+  // Default values for nvl dialog
+  nvl: {
+    textBox: {
+      // The panel covering the screen
+      margin: 20,
+      padding: {
+        top: 40,
+        right: 60,
+        bottom: 40,
+        left: 60,
+      },
+      color: { r: 0, g: 0, b: 0 },
+      opacity: 0.7,
+      options: {
+        // For the rect object
+        radius: 15,
+      },
+      sprite: null, // Sprite name, drawn instead of the rect (load it with slice9 for a nine-slice box)
+      border: null, // { width: 2, color: { r: 0, g: 0, b: 0 } }
+      shadow: null, // { offset: { x: 4, y: 4 }, color: { r: 0, g: 0, b: 0 }, opacity: 0.3 }
+    },
+    font: null, // Font of every text of the dialog, unless set in their own options
+    spacing: 16, // Vertical space between lines
+    nameSeparator: ": ", // Between the speaker name and the line
+    nameText: {
+      color: { r: 255, g: 210, b: 120 },
+    },
+    dialogText: {
+      color: { r: 255, g: 255, b: 255 },
+      options: {
+        // For the text object
+        size: 20,
+        lineSpacing: 8,
+        // width: Calculated dynamically for the panel width
+      },
+    },
+    choiceText: {
+      spacing: 10, // Vertical space above each choice
+      indent: 20,
+      color: { r: 200, g: 200, b: 200 },
+      selectedColor: { r: 255, g: 210, b: 120 },
+      options: {
+        // For the text object
+        size: 18,
+        lineSpacing: 6,
+      },
+    },
+    typewriter: {
+      speed: 0, // Characters per second (0: display text instantly)
+      punctuationPause: {
+        // Extra pause (in seconds) after punctuation followed by a space
+        ".": 0.3,
+        "!": 0.3,
+        "?": 0.3,
+        ",": 0.15,
+        ";": 0.15,
+        ":": 0.15,
+      },
+      sound: null, // Sound name, played as characters are revealed
+      soundEvery: 2, // Play sound every n characters
+      soundOptions: {
+        // For play()
+        volume: 0.5,
+      },
+    },
     nextPrompt: {
       name: "right-arrow",
+      anim: null, // Sprite animation to loop, instead of pulsing
       options: {
         width: 20,
       },
     },
+    transition: {
+      // Presets: "fade", "slide" (from the bottom), "slideUp",
+      // "slideDown", "slideLeft", "slideRight", "scale" or "none"
+      enter: "fade", // Unless doTween is false
+      exit: "fade", // Unless doTween is false
+      duration: 0.5, // Seconds
+      easing: "easeOutQuad", // Name of a KAPLAY easing
+    },
     doTween: true,
   },
 
+  // Default values for chat dialog
+  chat: {
+    me: null, // Name of the player's character, whose messages are on the right
+    visibleMessages: 6, // At most, older ones scroll out
+    textBox: {
+      // The phone, on the right of the screen
+      width: 320,
+      margin: 40,
+      padding: {
+        top: 20,
+        right: 16,
+        bottom: 20,
+        left: 16,
+      },
+      color: { r: 30, g: 30, b: 40 },
+      options: {
+        // For the rect object
+        radius: 20,
+      },
+      sprite: null, // Sprite name, drawn instead of the rect (load it with slice9 for a nine-slice box)
+      border: null, // { width: 2, color: { r: 0, g: 0, b: 0 } }
+      shadow: null, // { offset: { x: 4, y: 4 }, color: { r: 0, g: 0, b: 0 }, opacity: 0.3 }
+    },
+    messageBox: {
+      padding: 10,
+      spacing: 10, // Vertical space between messages
+      indent: 50, // Space on the side of the other party
+      myColor: { r: 140, g: 220, b: 140 },
+      theirColor: { r: 230, g: 230, b: 230 },
+      options: {
+        // For the rect object
+        radius: 10,
+      },
+    },
+    font: null, // Font of every text of the dialog, unless set in their own options
+    nameText: {
+      // Above the messages of the other party
+      color: { r: 170, g: 170, b: 190 },
+      options: {
+        // For the text object
+        size: 12,
+      },
+    },
+    dialogText: {
+      color: { r: 0, g: 0, b: 0 },
+      options: {
+        // For the text object
+        size: 16,
+        // width: Calculated dynamically for the message width
+      },
+    },
+    choiceText: {
+      spacing: 10, // Vertical space above each choice
+      indent: 0,
+      color: { r: 200, g: 200, b: 200 },
+      selectedColor: { r: 140, g: 220, b: 140 },
+      options: {
+        // For the text object
+        size: 16,
+      },
+    },
+    typewriter: {
+      speed: 0, // Characters per second (0: display text instantly)
+      punctuationPause: {},
+      sound: null, // Sound name, played as characters are revealed
+      soundEvery: 2, // Play sound every n characters
+      soundOptions: {
+        // For play()
+        volume: 0.5,
+      },
+    },
+    nextPrompt: null, // The next message is prompt enough
+    transition: {
+      // Presets: "fade", "slide" (from the bottom), "slideUp",
+      // "slideDown", "slideLeft", "slideRight", "scale" or "none"
+      enter: "slide", // Unless doTween is false
+      exit: "fade", // Unless doTween is false
+      duration: 0.5, // Seconds
+      easing: "easeOutQuad", // Name of a KAPLAY easing
+    },
+    doTween: false, // The phone stays on screen, only its messages change
+  },
+
   // Default values for vn dialog
   vn: {
     sideImage: {
@@ -111,7 +544,11 @@ const config = {
         // For the rect object
         radius: 15,
       },
+      sprite: null, // Sprite name, drawn instead of the rect (load it with slice9 for a nine-slice box)
+      border: null, // { width: 2, color: { r: 0, g: 0, b: 0 } }
+      shadow: null, // { offset: { x: 4, y: 4 }, color: { r: 0, g: 0, b: 0 }, opacity: 0.3 }
     },
+    font: null, // Font of every text of the dialog, unless set in their own options
     dialogText: {
       offsetX: 1,
       options: {
@@ -122,12 +559,73 @@ const config = {
         // width: Calculated dynamically for full width
       },
     },
+    nameBox: {
+      position: "above", // "above" the text box, or "inside" it, before the text
+      offsetX: 20, // From the left of the text box (when above)
+      margin: 5, // Space between the name box and the text box or text
+      padding: {
+        top: 5,
+        right: 10,
+        bottom: 5,
+        left: 10,
+      },
+      color: { r: 40, g: 40, b: 40 },
+      options: {
+        // For the rect object
+        radius: 8,
+      },
+    },
+    nameText: {
+      color: { r: 255, g: 255, b: 255 },
+      options: {
+        // For the text object
+        size: 16,
+      },
+    },
+    choiceText: {
+      spacing: 10, // Vertical space above each choice
+      indent: 20,
+      color: { r: 90, g: 90, b: 90 },
+      selectedColor: { r: 0, g: 110, b: 220 },
+      options: {
+        // For the text object
+        size: 18,
+        lineSpacing: 6,
+      },
+    },
+    typewriter: {
+      speed: 0, // Characters per second (0: display text instantly)
+      punctuationPause: {
+        // Extra pause (in seconds) after punctuation followed by a space
+        ".": 0.3,
+        "!": 0.3,
+        "?": 0.3,
+        ",": 0.15,
+        ";": 0.15,
+        ":": 0.15,
+      },
+      sound: null, // Sound name, played as characters are revealed
+      soundEvery: 2, // Play sound every n characters
+      soundOptions: {
+        // For play()
+        volume: 0.5,
+      },
+    },
     nextPrompt: {
       name: "right-arrow",
+      anim: null, // Sprite animation to loop, instead of pulsing
       options: {
         width: 20,
       },
     },
+    transition: {
+      // Presets: "fade", "slide" (from the bottom), "slideUp",
+      // "slideDown", "slideLeft", "slideRight", "scale" or "none"
+      enter: "slide", // Unless doTween is false
+      exit: "fade", // Unless doTween is false
+      duration: 0.5, // Seconds
+      easing: "easeOutQuad", // Name of a KAPLAY easing
+    },
     doTween: true,
   },
 };
@@ -136,8 +634,110 @@ const registeredCommands = {
   // Built-in commands (can be overloaded)
   enableNextPrompt: null, // Change showNextPrompt property to display next prompt
   disableNextPrompt: null, // Change showNextPrompt property to hide next prompt
+  jump: null, // `jump label`: Continue with the statements of another label
+  call: null, // `call label`: Like jump, but return here when the label is over
+  return: null, // Return to the caller label right away (ends dialog if none)
+  end: null, // End dialog
+  auto: null, // `auto` toggles auto mode, `auto(true)` or `auto(false)` sets it
+  skip: null, // `skip` toggles skip mode, `skip(true)` or `skip(false)` sets it
+  if: null, // `if(expression)`: Skip statement unless expression is truthy
+  set: null, // `set(name, value)`: Set a story variable
+  add: null, // `add(name, amount)`: Add amount (default: 1) to a story variable
+  show: null, // `show r:happy at left with slide`: Show a character on stage, or update it
+  hide: null, // `hide r with fade`: Remove a character from stage
+  bg: null, // `bg forest with crossfade 2`: Set background sprite, color (`bg #203040`) or `bg none`
+  id: null, // `id(greeting)`: Explicit localization key of the statement
+  music: null, // `music theme with crossfade 2`: Play looping music, or `music none`
+  sfx: null, // `sfx door` or `sfx(door, 0.5)`: Play a sound once, with optional volume
+  voice: null, // `voice line12`: Play a voice clip, stopped when the dialog advances
+  nvlClear: null, // Start a new NVL page
+};
+
+// Names of built-in commands, even once overloaded
+const builtInCommands = Object.keys(registeredCommands);
+
+// Following words taken as arguments by built-in commands: `jump label`
+const builtInCommandWords = {
+  jump: /^(\S+)\s*/,
+  call: /^(\S+)\s*/,
+  show: /^(\w+(?::\S+)?)(?:\s+at\s+(\S+))?(?:\s+with\s+(\w+))?(?:\s+|$)/,
+  hide: /^(\w+)(?:\s+with\s+(\w+))?(?:\s+|$)/,
+  bg: /^(\S+)(?:\s+with\s+(\w+)(?:\s+(\d*\.?\d+))?)?(?:\s+|$)/,
+  music: /^(\S+)(?:\s+with\s+(\w+)(?:\s+(\d*\.?\d+))?)?(?:\s+|$)/,
+  sfx: /^(\S+)\s*/,
+  voice: /^(\S+)\s*/,
+};
+
+// Built-in commands taking a raw expression as their only argument
+const expressionCommands = ["if"];
+
+// Matches `{expression}` in a string, or an escaped brace: `\{`
+const interpolationPattern = /\\\{|\{([^{}]+)\}/g;
+
+// Built-in commands only recognized with their arguments: `set(gold, 10)`
+const argumentCommands = ["if", "set", "add", "id"];
+
+// Built-in commands that need no display, a statement with nothing else to
+// display carries on to the next one
+const silentCommands = [
+  "jump",
+  "call",
+  "return",
+  "end",
+  "set",
+  "add",
+  "auto",
+  "skip",
+  "show",
+  "hide",
+  "bg",
+  "music",
+  "sfx",
+  "voice",
+  "nvlClear",
+];
+
+// Rich text styles, used as tags in dialog strings: `[b]Hey![/b]`, `[color=red]...[/color]`
+// A style is a KAPLAY char transform, or a function of the tag value (if any)
+// and the text options returning one. Char transforms can be functions of
+// (index, char), they are evaluated every frame
+const registeredStyles = {
+  b: { scale: 1.1 }, // KAPLAY can't change font weight, emphasize with size
+  color: (value) => ({
+    color: rgb(namedColors[value] ?? value), // Name or hex: `[color=#ff8800]`
+    override: true, // Replace the text color instead of tinting it
+  }),
+  size: (value, options) => ({ scale: Number(value) / options.size }),
+  shake: (value) => {
+    const amount = Number(value ?? 2);
+    return () => ({ pos: vec2(rand(-amount, amount), rand(-amount, amount)) });
+  },
+  wave: (value) => {
+    const amount = Number(value ?? 4);
+    return (idx) => ({
+      pos: vec2(0, wave(-amount, amount, time() * 6 + idx * 0.5)),
+    });
+  },
+};
+
+const namedColors = {
+  red: "#ff0000",
+  green: "#00ff00",
+  blue: "#0000ff",
+  yellow: "#ffff00",
+  magenta: "#ff00ff",
+  cyan: "#00ffff",
+  white: "#ffffff",
+  black: "#000000",
 };
 
+// Named dialog options, referenced by characters and dialogs: `theme: "parchment"`
+const registeredThemes = {};
+
+// Custom dialog types, by name: renderers (conf, dialog) returning the dialog object
+// Their defaults are in config[name], like config.pop and config.vn
+const registeredDialogTypes = {};
+
 // Default narrator character
 _characters.narrator = {
   dialogType: "vn",
@@ -146,6 +746,143 @@ _characters.narrator = {
 function init(options) {
   Object.assign(config, options);
   loadAssets();
+  addController();
+  if (config.debug) addDebugOverlay();
+}
+
+function debugLog(...args) {
+  if (config.debug) console.log("[loquace]", ...args);
+}
+
+// Cases Loquace ignores silently, unless in debug mode
+function debugWarn(...args) {
+  if (config.debug) console.warn("[loquace]", ...args);
+}
+
+// Overlay showing the runner state, with labels to click to start them
+function addDebugOverlay() {
+  if (debugOverlayObj?.exists()) return;
+
+  const conf = config.debugOverlay;
+  debugOverlayObj = add([
+    pos(width() - conf.width, 0),
+    z(conf.z),
+    stay(),
+    "loquaceDebug",
+  ]);
+  const panel = debugOverlayObj.add([
+    rect(conf.width, 0),
+    color(0, 0, 0),
+    opacity(0.7),
+  ]);
+  const info = debugOverlayObj.add([
+    text("", { ...conf.textOptions, width: conf.width - 2 * conf.padding }),
+    pos(conf.padding, conf.padding),
+  ]);
+
+  let labelObjs = [];
+  let labelNames = "";
+  debugOverlayObj.onUpdate(() => {
+    // Brackets would be taken as KAPLAY style tags
+    info.text = debugInfo().replace(/\[/g, "\\[");
+
+    // Labels may be added at any time
+    if (Object.keys(_script).join() !== labelNames) {
+      labelNames = Object.keys(_script).join();
+      labelObjs.forEach((o) => o.destroy());
+      labelObjs = Object.keys(_script).map((label) => {
+        const labelObj = debugOverlayObj.add([
+          text(label, conf.textOptions),
+          color(150, 200, 255),
+          pos(0, 0),
+          area(),
+        ]);
+        labelObj.onClick(() => {
+          if (debugOverlayObj.hidden) return;
+          debugLog(`Jump to label "${label}" from the debug overlay`);
+          start(label);
+        });
+        return labelObj;
+      });
+    }
+
+    // Lay labels out in rows below the info text
+    let x = conf.padding;
+    let y = info.pos.y + info.height + conf.padding;
+    labelObjs.forEach((o) => {
+      if (x + o.width > conf.width - conf.padding && x > conf.padding) {
+        x = conf.padding;
+        y += o.height + 2;
+      }
+      o.pos.x = x;
+      o.pos.y = y;
+      x += o.width + conf.padding;
+    });
+    panel.height = y + (labelObjs.at(-1)?.height ?? 0) + conf.padding;
+  });
+
+  onInputPress(debugOverlayObj, conf.toggle, () => {
+    debugOverlayObj.hidden = !debugOverlayObj.hidden;
+  });
+}
+
+function debugInfo() {
+  const modes = [
+    autoMode && "auto",
+    skipMode && "skip",
+    runner.pendingChoice && "waiting for a choice",
+    backlogObj && "backlog open",
+    locale && `locale: ${locale}`,
+  ].filter(Boolean);
+
+  return [
+    runner.statements
+      ? `Label: ${runner.currentLabel ?? "(orphan script)"}, statement ${runner.statementCounter}/${runner.statements.length}`
+      : "No dialog",
+    runner.callStack.length
+      ? `Call stack: ${runner.callStack.map((frame) => frame.label ?? "(orphan script)").join(" > ")}`
+      : null,
+    modes.length ? `Modes: ${modes.join(", ")}` : null,
+    `Variables: ${JSON.stringify(variables)}`,
+    "Start label:",
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+// Add the controller object, once (it stays across scenes)
+function addController() {
+  if (controllerObj?.exists()) return;
+
+  controllerObj = add([stay(), "loquaceController"]);
+  controllerObj.onUpdate(() => {
+    runners.forEach((r) => withRunner(r, autoAdvance));
+    updateMusicVolume();
+  });
+
+  if (config.handleInput) {
+    onInputPress(controllerObj, config.input.next, advanceFromInput);
+    onInputPress(controllerObj, config.input.auto, () => setAuto());
+    onInputPress(controllerObj, config.input.skip, () => setSkip());
+    onInputPress(controllerObj, config.input.backlog, () => {
+      // The backlog closes itself with its own input
+      if (!backlogObj) setBacklog(true);
+    });
+  }
+}
+
+// Advance from built-in input, unless a dialog is still tweening in
+function advanceFromInput() {
+  if (backlogObj || ownDialogs().some((o) => o.entering)) return;
+  next();
+}
+
+// Advance when a dialog box is clicked or tapped (with built-in input)
+function addClickToAdvance(textBoxObj) {
+  if (!config.handleInput || !config.input.clickToAdvance) return;
+
+  textBoxObj.use(area());
+  textBoxObj.onClick(() => withRunner(textBoxObj.runner, advanceFromInput));
 }
 
 function loadAssets() {
@@ -176,10 +913,15 @@ function script(s, auto = true) {
 
   if (Array.isArray(s)) {
     // Set statements for immediate use
-    statements = s;
+    runner.statements = s;
 
     // Reset statement counter
-    statementCounter = 0;
+    runner.statementCounter = 0;
+    runner.currentLabel = null;
+    runner.callStack = [];
+    runner.pendingChoice = null;
+    runner.displayedStatement = null;
+    interruptPlay("Dialog interrupted by script()");
 
     if (auto) next();
   } else {
@@ -188,121 +930,634 @@ function script(s, auto = true) {
   }
 }
 
-function registerCommand(command, callback) {
-  registeredCommands[command] = callback;
+// Load a plain-text script file (.loq) as a KAPLAY asset, its labels are
+// added to the script once loaded
+function loadScript(name, url) {
+  return load(
+    fetch(loadRoot() + url)
+      .then((response) => {
+        if (!response.ok)
+          throw new Error(`Failed to load script "${name}" from ${url}`);
+        return response.text();
+      })
+      .then((source) => {
+        let labels;
+        try {
+          labels = parseScript(source);
+        } catch (error) {
+          throw new Error(`Script "${name}": ${error.message}`);
+        }
+        script(labels);
+        return labels;
+      })
+  );
 }
 
-// Start dialog from a label
-function start(label, auto = true) {
-  statements = _script[label];
-  statementCounter = 0;
-  if (auto) next();
-}
+// Parse a plain-text script into labels, as accepted by script()
+/* Example:
+    # Comment
+    start:
+      r Hello, I'm a robot!
+      set(gold, 10) r Where do you want to go?
+        * Left -> leftPath
+        * [if gold >= 5] Shop -> shop
+        * Stay here
+      r Let's stay here then.
+    leftPath:
+      ...
+    */
+// Label headers are not indented (`label name:` is also accepted), statements
+// are. Choices are indented under the statement they belong to.
+function parseScript(source) {
+  const labels = {};
+  let label = null;
+  let prompt = null; // Last statement, for choices: { index, indent }
+
+  source.split(/\r?\n/).forEach((line, i) => {
+    const content = line.trim();
+    if (content === "" || content.startsWith("#")) return;
+
+    const indent = line.length - line.trimStart().length;
+    const fail = (message) => {
+      throw new Error(`Line ${i + 1}: ${message}`);
+    };
+
+    if (indent === 0 && content.startsWith("*"))
+      fail("Choices must be indented under a statement");
+
+    // Label header
+    if (indent === 0) {
+      const header = content.match(/^(?:label\s+)?(\w+):$/);
+      if (!header)
+        fail(`Expected a label header ("name:"), statements must be indented`);
+
+      label = header[1];
+      if (labels[label]) fail(`Label "${label}" is already defined`);
+      labels[label] = [];
+      prompt = null;
+      return;
+    }
 
-// Display next statement
-function next() {
-  // Fail silently if no script for current label
-  if (!statements) return false;
+    if (label === null) fail("Statement outside of a label");
 
-  // Clear and return if no more statements
-  if (statementCounter > statements.length - 1) {
-    clear();
-    return false;
-  }
+    // Choice: `* [if expression] Text -> label`
+    if (content.startsWith("*")) {
+      if (!prompt || indent <= prompt.indent)
+        fail("Choices must be indented under a statement");
 
-  // First remove any existing dialog
-  clear();
+      const match = content.match(
+        /^\*\s*(?:\[if\s+(.+?)\]\s*)?(.+?)(?:\s*->\s*(\w+))?$/
+      );
+      if (!match) fail("Invalid choice, expected `* Text -> label`");
 
-  // Parse statement
-  const dialogObject = parse(statements[statementCounter], false);
+      const choice = { text: match[2] };
+      if (match[3]) choice.jump = match[3];
+      if (match[1]) choice.if = match[1];
 
-  // Increment statement counter for next iteration
-  statementCounter++;
+      // Turn the prompt into a choice statement
+      let statement = labels[label][prompt.index];
+      if (typeof statement === "string") {
+        statement = { type: "choice", statement, choices: [] };
+        labels[label][prompt.index] = statement;
+      }
+      statement.choices.push(choice);
+      return;
+    }
 
-  // Execute and display dialog (deferred after statementCounter increment)
-  executeCommands(dialogObject.commands);
-  displayDialog(dialogObject);
+    // Statement
+    labels[label].push(content);
+    prompt = { index: labels[label].length - 1, indent };
+  });
 
-  return true;
+  return labels;
 }
 
-// Parse a statement and return a dialog object
-function parse(statement, execute = true) {
-  const dialogObject = {
-    originalStatement: statement,
-    statement: "",
-    commands: [],
-  };
+function registerCommand(command, callback) {
+  registeredCommands[command] = callback;
+}
 
-  preSelectStatement(dialogObject);
-  parseCommands(dialogObject);
-  parseDialog(dialogObject);
+function registerStyle(name, style) {
+  registeredStyles[name] = style;
+}
 
-  if (execute) {
-    executeCommands(dialogObject);
-    displayDialog(dialogObject);
-  }
+function registerTheme(name, options) {
+  registeredThemes[name] = options;
+}
 
-  return dialogObject;
+function registerDialogType(name, renderer) {
+  registeredDialogTypes[name] = renderer;
+  config[name] ??= {};
 }
 
-// Pre-select statement from different types (can be a String, Array or Object)
-function preSelectStatement(dialogObject) {
-  const statement = dialogObject.originalStatement;
+// Dialog options of a theme, or none if it doesn't exist
+function themeOptions(name) {
+  if (name === undefined) return {};
+  if (!registeredThemes[name]) {
+    debugWarn(`Theme "${name}" is not registered`);
+    return {};
+  }
+  return registeredThemes[name];
+}
 
-  // Identify the statement type
-  if (Array.isArray(statement)) {
-    // Allow for an Array of statements to be chosen randomly
-    dialogObject.statement = choose(statement);
-  } else if (typeof statement === "object") {
-    // Allow for Objects to be passed for interactive dialogs
-    /* Example:
-        {
-            type: 'multipleChoice', // What other types ?
-            statement: "t What choice? [button=choiceA]something[/button] [button=choiceB]something else[/button]",
-            onPress: {
-                'choiceA': () => {
-                    // Do something
-                },
-                'choiceB': () => {
-                    // Do something
-                },
-            }
-        */
-    dialogObject.statement = statement.statement; // TODO: Temporary. Augment this with above example
-  } else {
-    // Default to statement as a String
-    dialogObject.statement = statement;
+// Merge dialog options over defaults and their theme, and apply the font shorthand
+function dialogConfig(defaults, options) {
+  const { theme, ...dialogOptions } = options;
+  const conf = deepMerge(defaults, themeOptions(theme), dialogOptions);
+  if (conf.font) {
+    [conf.dialogText, conf.nameText, conf.choiceText].forEach((textConf) => {
+      if (textConf?.options) textConf.options.font ??= conf.font;
+    });
   }
+  return conf;
+}
 
-  return dialogObject;
+function setVar(name, value) {
+  variables[name] = value;
 }
 
-// Parse commands from dialogObject.statement: `command1 command2 who:expression string`
-function parseCommands(dialogObject) {
-  // Identify, collect and trim commands from the start of the statement
-  let commandMatch;
-  while (
-    (commandMatch = dialogObject.statement.match(/^(\w+)/)) &&
-    Object.keys(registeredCommands).includes(commandMatch[1])
-  ) {
-    // This loop will run as long as the first word of the statement is a registered command
+function getVar(name) {
+  return variables[name];
+}
 
-    // Collect commands for deferred execution
-    dialogObject.commands.push(commandMatch[1]);
+// Toggle auto mode, or set it with a boolean. Returns the new mode
+function setAuto(enabled = !autoMode) {
+  autoMode = enabled;
+  runners.forEach((r) => (r.autoAdvanceTimer = 0));
+  return autoMode;
+}
 
-    // Trim command from dialogObject.statement
-    dialogObject.statement = dialogObject.statement.replace(/^\w+\s*/, "");
-  }
+// Toggle skip mode, or set it with a boolean. Returns the new mode
+function setSkip(enabled = !skipMode) {
+  skipMode = enabled;
+  runners.forEach((r) => (r.autoAdvanceTimer = 0));
+  return skipMode;
 }
 
-// Parse dialog from dialogObject.statement: `who:expression string`
-function parseDialog(dialogObject) {
-  // Do not try to parse an empty statement (e.g. if it was only a command)
-  if (dialogObject.statement === "") return;
+// Advance dialog on its own in auto or skip mode (run on every frame)
+function autoAdvance() {
+  if ((!autoMode && !skipMode) || backlogObj) return;
 
-  // Parse dialogObject.statement from `who:expression string`
-  // Example: `r:happy Hello, I'm a robot!`
+  // Nothing to advance, or waiting on the player
+  if (
+    !runner.statements ||
+    !runner.displayedStatement ||
+    runner.pendingChoice
+  ) {
+    if (skipMode && runner.pendingChoice) setSkip(false); // Skip stops at choices
+    runner.autoAdvanceTimer = 0;
+    return;
+  }
+
+  runner.autoAdvanceTimer += dt();
+
+  if (skipMode) {
+    if (!runner.displayedWasRead && !config.skip.unread) {
+      setSkip(false); // Skip stops at lines never read
+      return;
+    }
+    if (runner.autoAdvanceTimer >= config.skip.delay) {
+      runner.autoAdvanceTimer = 0;
+      next(); // Completes text being revealed first
+    }
+    return;
+  }
+
+  // Auto mode waits for the line to be fully displayed
+  if (
+    ownDialogs().some(
+      (o) => !o.clearing && (o.entering || o.typewriter?.revealing)
+    )
+  ) {
+    runner.autoAdvanceTimer = 0;
+    return;
+  }
+
+  if (
+    runner.autoAdvanceTimer >=
+    config.auto.delay +
+      runner.displayedTextLength * config.auto.perCharacterDelay
+  ) {
+    runner.autoAdvanceTimer = 0;
+    next();
+  }
+}
+
+// Listen to a dialog lifecycle event, returns a KEventController
+// Events: statement, dialogShown, dialogCleared, labelStart, labelEnd, end, choice, command
+function onEvent(name, action) {
+  runner.events ??= new KEventHandler();
+  return runner.events.on(name, action);
+}
+
+function emit(name, ...args) {
+  debugLog(name, ...args); // Trace the dialog lifecycle
+  runner.events?.trigger(name, ...args);
+}
+
+// Start dialog from a label
+function start(label, auto = true) {
+  runner.statements = _script[label];
+  runner.statementCounter = 0;
+  runner.currentLabel = label;
+  runner.callStack = [];
+  runner.pendingChoice = null;
+  runner.displayedStatement = null;
+  interruptPlay("Dialog interrupted by start()");
+  if (runner.statements) emit("labelStart", label);
+  else debugWarn(`start(): Label "${label}" not found`);
+  if (auto) next();
+}
+
+// Start a label and wait for the dialog to end (the player advanced past its
+// last line, jumps and calls included). Resolves with the choices made meanwhile
+// Rejects if the dialog is interrupted before its end (see interruptPlay())
+function playLabel(label) {
+  if (!_script[label])
+    return Promise.reject(new Error(`Label "${label}" not found`));
+
+  start(label, false);
+  const choiceCount = runner.choiceHistory.length;
+  const ended = waitForEnd(() => runner.choiceHistory.slice(choiceCount));
+  next();
+  return ended;
+}
+
+// Display a single statement and wait for the player to advance past it
+// Resolves with the index of the choice picked, if the statement has choices
+function say(statement) {
+  script([statement], false);
+  const choiceCount = runner.choiceHistory.length;
+  const ended = waitForEnd(() => runner.choiceHistory[choiceCount]?.choice);
+  next();
+  return ended;
+}
+
+// Resolves with result() once the dialog of the current runner ends
+// A runner waits for one dialog at a time, next() settles it
+function waitForEnd(result) {
+  return new Promise((resolve, reject) => {
+    runner.pendingPlay = { resolve, reject, result };
+  });
+}
+
+// Reject the dialog waited for by the current runner, when another one takes
+// over the runner (start(), script(), load()) before it ends
+function interruptPlay(reason) {
+  const pending = runner.pendingPlay;
+  runner.pendingPlay = null;
+  pending?.reject(new Error(reason));
+}
+
+// Continue with the statements of a label, keeping the call stack
+// The current label is left, unless it is called from
+function goToLabel(label, isCall = false) {
+  if (!_script[label]) throw new Error(`Label "${label}" not found`);
+
+  if (!isCall && runner.currentLabel !== null)
+    emit("labelEnd", runner.currentLabel);
+
+  runner.statements = _script[label];
+  runner.statementCounter = 0;
+  runner.currentLabel = label;
+  emit("labelStart", label);
+}
+
+// Skip remaining statements, next() will clear the dialog
+function endDialog() {
+  runner.callStack = [];
+  if (runner.statements) runner.statementCounter = runner.statements.length;
+}
+
+// Resume the caller label where it was left (or end dialog if none)
+function returnFromCall() {
+  const frame = runner.callStack.pop();
+  if (!frame) {
+    endDialog();
+    return;
+  }
+
+  if (runner.currentLabel !== null) emit("labelEnd", runner.currentLabel);
+
+  runner.statements = frame.statements;
+  runner.statementCounter = frame.statementCounter;
+  runner.currentLabel = frame.label;
+}
+
+// Display next statement
+function next() {
+  // Fail silently if no script for current label
+  if (!runner.statements) {
+    debugWarn("next(): No statements, the dialog is over or not started");
+    return false;
+  }
+
+  // Dialog is on hold while the player reads the backlog
+  if (backlogObj) {
+    debugLog("next(): Ignored while the backlog is open");
+    return false;
+  }
+
+  // Complete text being revealed instead of advancing
+  const revealingDialogs = ownDialogs().filter((o) => o.typewriter?.revealing);
+  if (revealingDialogs.length) {
+    revealingDialogs.forEach((o) => o.typewriter.complete());
+    return true;
+  }
+
+  // Wait for the player to pick a choice
+  if (runner.pendingChoice) {
+    debugLog("next(): Ignored, waiting for a choice");
+    return false;
+  }
+
+  // A voice clip belongs to the statement on screen
+  runner.voice?.stop();
+  runner.voice = null;
+
+  // Return to the caller when a called label is over
+  while (
+    runner.statementCounter > runner.statements.length - 1 &&
+    runner.callStack.length
+  )
+    returnFromCall();
+
+  // Clear and return if no more statements
+  if (runner.statementCounter > runner.statements.length - 1) {
+    clear();
+
+    const endedLabel = runner.currentLabel;
+    runner.statements = undefined;
+    runner.currentLabel = null;
+    runner.displayedStatement = null;
+    runner.chatMessages = [];
+
+    // Settle play() or say() first, listeners may start another dialog
+    const pending = runner.pendingPlay;
+    runner.pendingPlay = null;
+    pending?.resolve(pending.result());
+
+    if (endedLabel !== null) emit("labelEnd", endedLabel);
+    emit("end");
+
+    return false;
+  }
+
+  // Parse statement
+  const dialogObject = parse(runner.statements[runner.statementCounter], false);
+  const statementKey = `${runner.currentLabel}:${runner.statementCounter}`;
+
+  // First remove any existing dialog, an NVL page stays for lines added to it
+  clearDialogs(keepsNvlPage(dialogObject) ? runner.nvlPage : null);
+
+  // Increment statement counter for next iteration
+  runner.statementCounter++;
+
+  // Skip statement (commands included) if its conditions don't hold
+  if (!inStatement(statementKey, () => checkConditions(dialogObject))) {
+    debugLog(
+      `Statement ${runner.currentLabel}:${runner.statementCounter - 1} skipped, condition not met`
+    );
+    return next();
+  }
+
+  // Remember what is displayed before commands change the flow
+  runner.displayedStatement = {
+    label: runner.currentLabel,
+    statementIndex: runner.statementCounter - 1,
+    alternative: dialogObject.alternative,
+  };
+  emit("statement", dialogObject);
+
+  // Keep track of read statements, for skip mode
+  const readKey = `${runner.currentLabel}:${runner.statementCounter - 1}`;
+  runner.displayedWasRead =
+    runner.currentLabel !== null && readStatements.has(readKey);
+  if (runner.currentLabel !== null) readStatements.add(readKey);
+  runner.autoAdvanceTimer = 0;
+
+  // Execute and display dialog (deferred after statementCounter increment)
+  executeCommands(dialogObject);
+  localize(
+    dialogObject,
+    runner.displayedStatement.label,
+    runner.displayedStatement.statementIndex
+  );
+  inStatement(statementKey, () => evaluateDialog(dialogObject));
+  runner.displayedTextLength = dialogObject.statement.length;
+  displayDialog(dialogObject);
+  recordHistory(dialogObject);
+
+  // Nothing to display after a silent command alone (e.g. `jump label`), carry on
+  if (dialogObject.statement === "" && !dialogObject.choices) {
+    if (
+      dialogObject.commands.some((command) =>
+        silentCommands.includes(command.name)
+      )
+    )
+      return next();
+    debugWarn("Statement displays nothing, waiting for next()");
+  }
+
+  return true;
+}
+
+// Parse a statement and return a dialog object
+function parse(statement, execute = true) {
+  const dialogObject = {
+    originalStatement: statement,
+    statement: "",
+    commands: [],
+  };
+
+  preSelectStatement(dialogObject);
+  parseCommands(dialogObject);
+  parseDialog(dialogObject);
+
+  if (execute && checkConditions(dialogObject)) {
+    executeCommands(dialogObject);
+    evaluateDialog(dialogObject);
+    displayDialog(dialogObject);
+  }
+
+  return dialogObject;
+}
+
+// Pre-select statement from different types (can be a String, Array or Object)
+function preSelectStatement(dialogObject) {
+  const statement = dialogObject.originalStatement;
+
+  // Identify the statement type
+  if (Array.isArray(statement)) {
+    // Allow for an Array of statements to be chosen randomly
+    dialogObject.alternative = randi(statement.length);
+    dialogObject.statement = statement[dialogObject.alternative];
+  } else if (typeof statement === "object") {
+    // Allow for Objects to be passed for interactive dialogs
+    /* Example:
+        {
+            type: 'choice',
+            statement: "t What choice?",
+            choices: [
+                { text: "Go left", jump: "leftPath" }, // Jump to a label
+                { text: "Wave", onSelect: () => { ... } }, // Run a callback, then continue
+                "Stay here", // Continue with the next statement
+                { text: "Buy", if: "gold >= 10" }, // Only listed if condition holds
+            ],
+            if: "visits > 1", // Optional condition, like the `if` command
+        }
+        */
+    dialogObject.statement = statement.statement || "";
+
+    if (statement.if !== undefined) {
+      dialogObject.commands.push({ name: "if", args: [statement.if] });
+    }
+
+    if (statement.type === "choice") {
+      // Missing choices are reported by validate(), the line is displayed alone
+      dialogObject.choices = (statement.choices ?? []).map((choice) =>
+        typeof choice === "string" ? { text: choice } : choice
+      );
+    }
+  } else {
+    // Default to statement as a String
+    dialogObject.statement = statement;
+  }
+
+  return dialogObject;
+}
+
+// Parse commands from dialogObject.statement: `command1 command2 who:expression string`
+// Commands can take arguments: `command(arg1, arg2)` or `command:arg1,arg2`
+function parseCommands(dialogObject) {
+  // Identify, collect and trim commands from the start of the statement
+  let commandMatch;
+  while ((commandMatch = matchCommand(dialogObject.statement))) {
+    // This loop will run as long as the first word of the statement is a registered command
+    const argsString = commandMatch[2] ?? commandMatch[3];
+    const command = { name: commandMatch[1], args: [] };
+    if (expressionCommands.includes(command.name)) {
+      command.args = [argsString];
+    } else if (argsString !== undefined) {
+      command.args = parseArguments(argsString);
+    }
+
+    // Trim command from dialogObject.statement
+    dialogObject.statement = dialogObject.statement.slice(
+      commandMatch[0].length
+    );
+
+    // Collect built-in command arguments (following words)
+    const wordsMatch =
+      argsString === undefined &&
+      builtInCommandWords[command.name] &&
+      dialogObject.statement.match(builtInCommandWords[command.name]);
+    if (wordsMatch) {
+      command.args = wordsMatch
+        .slice(1)
+        .map((arg) => (arg === undefined ? undefined : parseArgument(arg)));
+      dialogObject.statement = dialogObject.statement.slice(
+        wordsMatch[0].length
+      );
+    }
+
+    // Collect commands for deferred execution
+    dialogObject.commands.push(command);
+  }
+}
+
+// Match a registered command at the start of a statement: `name`,
+// `name(args)` or `name:arg`, like a regex match ([whole, name, args, arg])
+function matchCommand(statement) {
+  const word = statement.match(/^(\w+)/);
+  if (!word || !Object.keys(registeredCommands).includes(word[1])) return null;
+
+  let end = word[0].length;
+  let args;
+  let arg;
+  if (statement[end] === "(") {
+    // Expressions can hold parentheses of their own: `if((a + b) > 2)`
+    const close = closingParenthesis(statement, end);
+    if (close === -1) return null;
+    args = statement.slice(end + 1, close);
+    end = close + 1;
+  } else if (statement[end] === ":") {
+    arg = statement.slice(end + 1).match(/^\S+/)?.[0];
+    if (arg === undefined) return null;
+    end += arg.length + 1;
+  }
+
+  // `if only I knew.` is a narrator line, not an `if` without expression
+  if (argumentCommands.includes(word[1]) && args === undefined) return null;
+
+  const spaces = statement.slice(end).match(/^(?:\s+|$)/);
+  if (!spaces) return null;
+  return [statement.slice(0, end + spaces[0].length), word[1], args, arg];
+}
+
+// Index of the parenthesis closing the one at `open`, or -1
+function closingParenthesis(string, open) {
+  let depth = 0;
+  return scanUnquoted(string, open, (char) => {
+    if (char === "(") depth++;
+    return char === ")" && --depth === 0;
+  });
+}
+
+// Call visit(char, index) for the characters of a string from `start`,
+// skipping quoted strings, until it returns true. Returns that index, or -1
+function scanUnquoted(string, start, visit) {
+  let quote = null;
+  for (let i = start; i < string.length; i++) {
+    const char = string[i];
+    if (quote) {
+      if (char === "\\") i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === "`") {
+      quote = char;
+    } else if (visit(char, i)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Parse comma separated command arguments: `door, 0.5` → ["door", 0.5]
+// Commas inside quotes are kept: `name, "Ann, Bob"` → ["name", "Ann, Bob"]
+function parseArguments(argsString) {
+  if (argsString.trim() === "") return [];
+
+  const args = [];
+  let argStart = 0;
+  scanUnquoted(argsString, 0, (char, index) => {
+    if (char === ",") {
+      args.push(argsString.slice(argStart, index));
+      argStart = index + 1;
+    }
+    return false;
+  });
+  args.push(argsString.slice(argStart));
+  return args.map((arg) => parseArgument(arg.trim()));
+}
+
+// Cast an argument to a number or boolean when it looks like one
+// Quotes can be used to keep it as a string: "42"
+function parseArgument(arg) {
+  const quoted = arg.match(/^(["'])(.*)\1$/);
+  if (quoted) return quoted[2];
+  if (arg === "true") return true;
+  if (arg === "false") return false;
+  if (arg !== "" && !isNaN(Number(arg))) return Number(arg);
+  return arg;
+}
+
+// Parse dialog from dialogObject.statement: `who:expression string`
+// Without resolveExpression, the expression is only split from the text
+function parseDialog(dialogObject, resolveExpression = true) {
+  // Do not try to parse an empty statement (e.g. if it was only a command)
+  if (dialogObject.statement === "") return;
+
+  // Parse dialogObject.statement from `who:expression string`
+  // Example: `r:happy Hello, I'm a robot!`
   const match = dialogObject.statement.match(/^(\w+):(\S+)\s/);
   if (match) {
     dialogObject.who = match[1];
@@ -325,6 +1580,7 @@ function parseDialog(dialogObject) {
         if (_characters[dialogObject.who].defaultExpression) {
           dialogObject.expression =
             _characters[dialogObject.who].defaultExpression;
+          dialogObject.expressionIsDefault = true; // Keeps the stage expression
         }
 
         dialogObject.statement = dialogObject.statement.replace(key + " ", "");
@@ -336,8 +1592,13 @@ function parseDialog(dialogObject) {
   // If still no match, consider the dialogObject.statement as a narrator dialog
   if (dialogObject.who === undefined) {
     dialogObject.who = "narrator";
+
+    const mistake = narratorMistake(dialogObject.statement);
+    if (mistake) debugWarn(mistake.message);
   }
 
+  if (!resolveExpression) return;
+
   // Get expression for side image
   if (
     dialogObject.expression !== undefined &&
@@ -352,76 +1613,1354 @@ function parseDialog(dialogObject) {
     : undefined;
 }
 
-function executeCommands(commands) {
-  // Loop through commands and execute them
-  commands.forEach((command) => {
-    if (typeof registeredCommands[command] === "function")
-      registeredCommands[command]();
+// Likely mistake at the start of a narrator line, displayed as text: an
+// unregistered command (`shake(3) Whoa!`, `sayHii r Hello`) or an undefined
+// character key (`x Hello`). Returns { code, message }, or undefined
+function narratorMistake(statement) {
+  const command = statement.match(/^(\w+)\(/);
+  if (command)
+    return {
+      code: "unknown-command",
+      message: `"${command[1]}" looks like a command, but is not registered`,
+    };
+
+  // A word before a character key (but the narrator, a common word)
+  const beforeSpeaker = statement.match(/^(\w+)\s+(\w+)(?::\S+)?\s/);
+  if (
+    beforeSpeaker &&
+    beforeSpeaker[2] !== "narrator" &&
+    Object.hasOwn(_characters, beforeSpeaker[2])
+  )
+    return {
+      code: "unknown-command",
+      message: `"${beforeSpeaker[1]}" looks like a command before character "${beforeSpeaker[2]}", but is not registered`,
+    };
+
+  const firstWord = statement.match(/^(\w+)\s/)?.[1];
+  if (firstWord && looksLikeCharacterKey(firstWord))
+    return {
+      code: "unknown-character",
+      message: `"${firstWord}" looks like a character key, but is not defined`,
+    };
+}
+
+// Whether the first word of a narrator line looks like a mistyped character
+// key: a single letter (but "a"), or a defined key with a doubled letter (`rr`)
+function looksLikeCharacterKey(word) {
+  return (
+    /^[b-z]$/.test(word) ||
+    Object.hasOwn(_characters, word.replace(/(\w)\1+/g, "$1"))
+  );
+}
+
+// Check `if` commands of a statement, all of them must hold
+function checkConditions(dialogObject) {
+  return dialogObject.commands
+    .filter((command) => command.name === "if")
+    .every((command) => evaluate(command.args[0]));
+}
+
+// Evaluate a script expression against story variables: `gold >= 10`
+// Unknown identifiers are read as unset story variables (undefined), except
+// for globals (Math, etc.)
+function evaluate(expression) {
+  if (expression === undefined || String(expression).trim() === "")
+    throw new Error("Empty expression");
+
+  const scope = new Proxy(variables, {
+    has: (target, key) => key in target || !(key in globalThis),
+  });
+
+  try {
+    return compileExpression(expression)(scope);
+  } catch (error) {
+    throw new Error(`Expression "${expression}": ${error.message}`, {
+      cause: error,
+    });
+  }
+}
+
+// Compile an expression into a function of the variables scope, throws a
+// SyntaxError if it is malformed
+function compileExpression(expression) {
+  return new Function("scope", `with (scope) { return (${expression}); }`);
+}
+
+// Run an action on a statement, its errors name the statement: `intro:3`
+function inStatement(statementKey, action) {
+  try {
+    return action();
+  } catch (error) {
+    throw new Error(`Statement ${statementKey}: ${error.message}`, {
+      cause: error,
+    });
+  }
+}
+
+// Replace `{expression}` in a string with its evaluated value: `Hi {name}`
+// A backslash keeps a brace as text: `\{not a variable}`
+function interpolate(string) {
+  return string.replace(interpolationPattern, (match, expression) => {
+    if (match === "\\{") return "{";
+    const value = evaluate(expression);
+    if (value === undefined) debugWarn(`{${expression}} is undefined`);
+    return value === undefined || value === null ? "" : String(value);
+  });
+}
+
+// Resolve story variables in a dialog object, once its commands are executed
+function evaluateDialog(dialogObject) {
+  dialogObject.statement = interpolate(dialogObject.statement);
+
+  if (dialogObject.choices) {
+    dialogObject.choices = dialogObject.choices
+      .filter((choice) => choice.if === undefined || evaluate(choice.if))
+      .map((choice) => ({ ...choice, text: interpolate(choice.text) }));
+
+    // No choice left to pick from, don't wait for one
+    if (dialogObject.choices.length === 0) delete dialogObject.choices;
+  }
+}
+
+// Merge translated string tables: { fr: { 'intro:0': 'Bonjour !' } }
+function locales(tables) {
+  Object.entries(tables).forEach(([name, table]) => {
+    localeTables[name] = { ...localeTables[name], ...table };
+  });
+}
+
+// Display text in another locale (null for the text of the script itself)
+// The statement on screen is displayed again, its commands are not executed
+function setLocale(name) {
+  locale = name ?? null;
+  if (locale !== null && !localeTables[locale])
+    debugWarn(`setLocale(): No strings for locale "${locale}"`);
+  if (!runner.displayedStatement) return;
+
+  clear();
+  redisplay((label) =>
+    label !== null
+      ? _script[label]
+      : runner.currentLabel === null
+        ? runner.statements
+        : runner.callStack.find((frame) => frame.label === null)?.statements
+  );
+}
+
+function getLocale() {
+  return locale;
+}
+
+// Localization key of a statement: its `id` command, or `label:index`
+// (`label:index#n` for the nth alternative of a random statement)
+// Choices are keyed by their `id`, or `key.n` for the nth choice
+function localizationKey(dialogObject, label, statementIndex) {
+  const id = dialogObject.commands.find((command) => command.name === "id");
+  if (id) return String(id.args[0]);
+  if (label === null) return undefined; // Orphan scripts need explicit IDs
+
+  const key = `${label}:${statementIndex}`;
+  return dialogObject.alternative === undefined
+    ? key
+    : `${key}#${dialogObject.alternative}`;
+}
+
+// Replace statement and choice texts with their translation, if any
+function localize(dialogObject, label, statementIndex) {
+  const table = localeTables[locale];
+  if (!table) return;
+
+  const key = localizationKey(dialogObject, label, statementIndex);
+  if (dialogObject.statement !== "" && table[key] !== undefined)
+    dialogObject.statement = table[key];
+
+  dialogObject.choices = dialogObject.choices?.map((choice, i) => {
+    const choiceKey =
+      choice.id ?? (key === undefined ? undefined : `${key}.${i}`);
+    return table[choiceKey] === undefined
+      ? choice
+      : { ...choice, text: table[choiceKey] };
+  });
+}
+
+// Collect the translatable strings of all labels: { key: text }
+// A template to translate and pass to locales()
+function extractStrings() {
+  const strings = {};
+
+  Object.entries(_script).forEach(([label, labelStatements]) => {
+    labelStatements.forEach((statement, statementIndex) => {
+      const alternatives = Array.isArray(statement) ? statement : [statement];
+      alternatives.forEach((alternative, i) => {
+        // Text only: a mistake in an expression doesn't stop the extraction
+        const dialogObject = {
+          originalStatement: alternative,
+          statement: "",
+          commands: [],
+        };
+        preSelectStatement(dialogObject);
+        parseCommands(dialogObject);
+        parseDialog(dialogObject, false);
+        if (Array.isArray(statement)) dialogObject.alternative = i;
+
+        const key = localizationKey(dialogObject, label, statementIndex);
+        if (dialogObject.statement !== "")
+          strings[key] = dialogObject.statement;
+        dialogObject.choices?.forEach((choice, c) => {
+          strings[choice.id ?? `${key}.${c}`] = choice.text;
+        });
+      });
+    });
+  });
+
+  return strings;
+}
+
+// Statically check all labels, returns a list of diagnostics:
+// { severity: "error" | "warning", code, message, label, statementIndex }
+// Labels not reachable from entry labels (default: the first one) are reported
+function validate(entryLabels = Object.keys(_script).slice(0, 1)) {
+  const diagnostics = [];
+  const references = {}; // Labels jumped to or called from each label
+
+  Object.entries(_script).forEach(([label, labelStatements]) => {
+    references[label] = [];
+    labelStatements.forEach((statement, statementIndex) => {
+      const report = (severity, code, message, details = {}) =>
+        diagnostics.push({
+          severity,
+          code,
+          message,
+          label,
+          statementIndex,
+          ...details,
+        });
+
+      // Every alternative of a random statement may be displayed
+      const alternatives = Array.isArray(statement) ? statement : [statement];
+      alternatives.forEach((alternative) =>
+        validateStatement(alternative, report, references[label])
+      );
+    });
+  });
+
+  // Walk through jumps and calls from entry labels
+  const reachable = new Set();
+  const visit = (label) => {
+    if (reachable.has(label) || !_script[label]) return;
+    reachable.add(label);
+    references[label].forEach(visit);
+  };
+  entryLabels.forEach(visit);
+
+  Object.keys(_script)
+    .filter((label) => !reachable.has(label))
+    .forEach((label) =>
+      diagnostics.push({
+        severity: "warning",
+        code: "unreachable-label",
+        message: `Label "${label}" can't be reached from entry labels`,
+        label,
+      })
+    );
+
+  return diagnostics;
+}
+
+// Check a statement without executing or displaying anything
+function validateStatement(statement, report, referencedLabels) {
+  const dialogObject = {
+    originalStatement: statement,
+    statement: "",
+    commands: [],
+  };
+  preSelectStatement(dialogObject);
+  const firstWord = dialogObject.statement.match(/^(\w+)(?:\s|$)/)?.[1];
+  parseCommands(dialogObject);
+
+  const checkLabel = (label, details) => {
+    referencedLabels.push(label);
+    if (!_script[label])
+      report("error", "missing-label", `Label "${label}" not found`, details);
+  };
+  const checkCharacter = (who, expression) => {
+    if (!_characters[who]) {
+      report("error", "unknown-character", `Character "${who}" not found`);
+    } else if (
+      expression !== undefined &&
+      !_characters[who].expressions?.[expression]
+    ) {
+      report(
+        "error",
+        "unknown-expression",
+        `Expression "${expression}" not found for character "${who}"`
+      );
+    }
+  };
+
+  dialogObject.commands.forEach((command) => {
+    switch (command.name) {
+      case "jump":
+      case "call":
+        if (command.args[0] === undefined)
+          report(
+            "error",
+            "missing-label",
+            `Command "${command.name}" needs a label`
+          );
+        else checkLabel(String(command.args[0]));
+        break;
+      case "show":
+      case "hide":
+        if (command.args[0] === undefined)
+          report(
+            "error",
+            "unknown-character",
+            `Command "${command.name}" needs a character`
+          );
+        else checkCharacter(...String(command.args[0]).split(":"));
+        break;
+    }
+  });
+
+  dialogObject.choices?.forEach((choice, choiceIndex) => {
+    if (choice.jump !== undefined) checkLabel(choice.jump, { choiceIndex });
+  });
+
+  // Conditions and `{expression}` in texts, compiled but not evaluated
+  const checkExpression = (expression) => {
+    try {
+      if (String(expression ?? "").trim() === "")
+        throw new Error("Empty expression");
+      compileExpression(expression);
+    } catch (error) {
+      report(
+        "error",
+        "invalid-expression",
+        `Expression "${expression}": ${error.message}`
+      );
+    }
+  };
+  const checkText = (text) => {
+    const rest = text.replace(interpolationPattern, (match, expression) => {
+      if (expression !== undefined) checkExpression(expression);
+      return "";
+    });
+    if (rest.includes("{"))
+      report(
+        "warning",
+        "invalid-expression",
+        `Unclosed "{" in "${text}", escape it to display a brace: \\{`
+      );
+  };
+  dialogObject.commands
+    .filter((command) => command.name === "if")
+    .forEach((command) => checkExpression(command.args[0]));
+  checkText(dialogObject.statement);
+  dialogObject.choices?.forEach((choice) => {
+    if (choice.if !== undefined) checkExpression(choice.if);
+    checkText(choice.text);
+  });
+
+  // Speaker, like parseDialog(): `who:expression text` or `who text`
+  const speaker = dialogObject.statement.match(/^(\w+):(\S+)\s/);
+  const who =
+    speaker?.[1] ??
+    Object.keys(_characters).find((key) =>
+      dialogObject.statement.startsWith(key + " ")
+    );
+  if (speaker) {
+    checkCharacter(speaker[1], speaker[2]);
+  } else if (who && _characters[who].defaultExpression) {
+    checkCharacter(who, _characters[who].defaultExpression);
+  }
+
+  // Registered commands were taken out, what looks like one is unknown
+  const mistake = !who && narratorMistake(dialogObject.statement);
+  if (mistake) report("warning", mistake.code, mistake.message);
+
+  // Narration after a bare built-in command taking no arguments was likely
+  // meant as text: `end of the chapter.` ends the dialog and displays "of the
+  // chapter." (`bg forest We walked...` is fine, `forest` is its argument)
+  if (
+    !who &&
+    dialogObject.statement.trim() !== "" &&
+    builtInCommands.includes(firstWord) &&
+    !builtInCommandWords[firstWord] &&
+    dialogObject.commands[0]?.name === firstWord
+  ) {
+    report(
+      "warning",
+      "ambiguous-command",
+      `Narrator line starts with built-in command "${firstWord}", it is run instead of displayed. Write "narrator ${firstWord} ..." to display it, or "${firstWord}()" to run it`
+    );
+  }
+
+  // Nothing to display and no silent command to carry on: waits for next()
+  const hasSilentCommand = dialogObject.commands.some((command) =>
+    silentCommands.includes(command.name)
+  );
+  if (dialogObject.choices?.length === 0) {
+    report("warning", "empty-statement", "Choice statement has no choices");
+  } else if (
+    dialogObject.statement.trim() === "" &&
+    !dialogObject.choices &&
+    !hasSilentCommand
+  ) {
+    report("warning", "empty-statement", "Statement displays nothing");
+  }
+}
+
+function executeCommands(dialogObject) {
+  // Context passed to registered commands along with their arguments
+  const context = {
+    dialogObject,
+    label: runner.currentLabel,
+    statementIndex: runner.statementCounter - 1, // Counter is incremented before execution
+  };
+
+  // Loop through commands and execute them
+  dialogObject.commands.forEach((command) => {
+    emit("command", command, context);
+
+    if (typeof registeredCommands[command.name] === "function")
+      registeredCommands[command.name](command.args, context);
+
+    // Process built-in commands on top of registered commands
+    switch (command.name) {
+      case "enableNextPrompt":
+        config.showNextPrompt = true;
+        break;
+      case "disableNextPrompt":
+        config.showNextPrompt = false;
+        break;
+      case "jump":
+        goToLabel(command.args[0]);
+        break;
+      case "call":
+        runner.callStack.push({
+          label: runner.currentLabel,
+          statements: runner.statements,
+          statementCounter: runner.statementCounter, // Already pointing to the statement after the call
+        });
+        goToLabel(command.args[0], true);
+        break;
+      case "return":
+        returnFromCall();
+        break;
+      case "end":
+        endDialog();
+        break;
+      case "auto":
+        setAuto(command.args[0]);
+        break;
+      case "nvlClear":
+        if (runner.nvlPage?.exists()) clearNvlPage(runner.nvlPage);
+        break;
+      case "skip":
+        setSkip(command.args[0]);
+        break;
+      case "set":
+        variables[command.args[0]] = command.args[1];
+        break;
+      case "add":
+        variables[command.args[0]] =
+          (variables[command.args[0]] || 0) + (command.args[1] ?? 1);
+        break;
+      case "show":
+        showCharacter(...command.args);
+        break;
+      case "hide":
+        hideCharacter(...command.args);
+        break;
+      case "bg":
+        setBackground(...command.args);
+        break;
+      case "music":
+        playMusic(...command.args);
+        break;
+      case "sfx":
+        play(command.args[0], {
+          volume: (command.args[1] ?? 1) * config.audio.volume.sfx,
+        });
+        break;
+      case "voice":
+        runner.voice?.stop();
+        runner.voice = play(command.args[0], {
+          volume: config.audio.volume.voice,
+        });
+        break;
+    }
+  });
+}
+
+function displayDialog(dialogObject) {
+  // Do not display anything if statement is empty (e.g. if it was only a command)
+  if (dialogObject.statement === "" && !dialogObject.choices) return;
+
+  updateStage(dialogObject);
+
+  // Choices are passed down as strings, the selection is routed back here
+  let choiceOptions = {};
+  if (dialogObject.choices) {
+    const owner = runner;
+    runner.pendingChoice = { choices: dialogObject.choices };
+    choiceOptions = {
+      choices: dialogObject.choices.map((choice) => choice.text),
+      onChoice: (index) => withRunner(owner, () => selectChoice(index)),
+    };
+  }
+
+  // Character options, merged over the defaults of the dialog type when displayed
+  const character = _characters[dialogObject.who];
+  const options = {
+    ...deepMerge(
+      {
+        name: character.name,
+        sideImage: { name: dialogObject.sideImage },
+        ...characterBlip(dialogObject.who),
+      },
+      // NOTE: Optional shorthand for dialogOptions.position
+      character.position ? { position: character.position } : {},
+      themeOptions(character.theme),
+      character.dialogOptions || {}
+    ),
+    follow: character.follow, // Game object or tag
+    ...choiceOptions,
+  };
+
+  // Display dialog by type
+  if (registeredDialogTypes[character.dialogType]) {
+    customDialog(character.dialogType, dialogObject, options);
+    return;
+  }
+  switch (character.dialogType) {
+    case "vn":
+      // Traditional visual novel dialog box at the bottom of the screen
+      vn(dialogObject.statement, options);
+      break;
+    case "thought":
+      // Pop with rounder corners, trailed by small circles
+      thought(dialogObject.statement, options);
+      break;
+    case "nvl":
+      // Full screen panel, lines are added below the previous ones
+      nvl(dialogObject.statement, options);
+      break;
+    case "chat":
+      // Phone listing the last messages
+      chat(dialogObject.statement, options);
+      break;
+    default:
+      // Positionable dialog pop-up or pop-down
+      pop(dialogObject.statement, options);
+  }
+}
+
+// Display a dialog of a registered type: its renderer draws it, Loquace handles
+// clearing, input, the next prompt and tweening in
+function customDialog(type, dialogObject, options) {
+  const { onChoice, follow, ...dialogOptions } = options;
+  const defaults = deepMerge(
+    {
+      // Set to false or null to opt out
+      doTween: true,
+      transition: { ...config.pop.transition, enter: "fade" },
+      nextPrompt: config.pop.nextPrompt,
+    },
+    config[type]
+  );
+  const conf = {
+    ...dialogConfig(defaults, dialogOptions),
+    onChoice, // Renderers displaying choices call it with the picked index
+    follow,
+  };
+
+  // Text without tags, and its styles for text() options
+  const styledText = parseStyleTags(
+    dialogObject.statement,
+    conf.dialogText?.options ?? {}
+  );
+  const dialogObj = registeredDialogTypes[type](conf, {
+    ...dialogObject,
+    text: parseTypewriterTags(styledText.text).text,
+    styles: styledText.styles,
+  });
+
+  dialogObj.tag("loquaceDialog");
+  dialogObj.runner = runner; // Cleared and advanced by the runner that displayed it
+  if (dialogObj.opacity === undefined) dialogObj.use(opacity(1)); // Faded out by clear()
+  if (conf.persistent) dialogObj.tag("persistent");
+  addClickToAdvance(dialogObj);
+  if (conf.nextPrompt && !conf.choices) addNextPrompt(dialogObj, conf);
+
+  enterDialog(dialogObj, conf);
+
+  emit("dialogShown", dialogObj);
+
+  return dialogObj;
+}
+
+// Resolve the pending choice: run its callback, then jump or continue
+function selectChoice(index) {
+  if (!runner.pendingChoice || runner.pendingChoice.selected !== undefined)
+    return;
+
+  const choice = runner.pendingChoice.choices[index];
+  runner.pendingChoice.selected = index;
+
+  runner.choiceHistory.push({
+    ...runner.displayedStatement,
+    choice: index,
+    text: choice.text,
+  });
+  emit("choice", choice, index);
+
+  // The choice belongs to the last recorded line
+  if (runner.dialogHistory.at(-1)?.choices)
+    runner.dialogHistory.at(-1).choice = index;
+
+  // Deferred to the next frame so that the same key press can't also call next()
+  const owner = runner;
+  wait(0, () =>
+    withRunner(owner, () => {
+      runner.pendingChoice = null;
+      if (typeof choice.onSelect === "function") choice.onSelect(choice, index);
+      if (choice.jump) goToLabel(choice.jump);
+      next();
+    })
+  );
+}
+
+// Get a JSON-serializable snapshot of the dialog progress and story state
+function saveSnapshot() {
+  return structuredClone({
+    label: runner.currentLabel,
+    statementCounter: runner.statementCounter,
+    callStack: runner.callStack.map((frame) => ({
+      label: frame.label,
+      statementCounter: frame.statementCounter,
+    })),
+    // Script arrays have no label to be found with, save them as-is
+    // (also when a label called from one will return to it)
+    statements: orphanStatements()
+      ? JSON.parse(JSON.stringify(orphanStatements()))
+      : undefined,
+    displayedStatement: runner.displayedStatement,
+    variables,
+    choiceHistory: runner.choiceHistory,
+    history: runner.dialogHistory,
+    readStatements: [...readStatements],
+    showNextPrompt: config.showNextPrompt,
+    background: background?.name,
+    music: music?.name,
+    stage: Object.fromEntries(
+      Object.entries(stage).map(([who, staged]) => [
+        who,
+        { expression: staged.expression, slot: staged.slot },
+      ])
+    ),
+  });
+}
+
+// Statements of a script array, current or in the call stack
+function orphanStatements() {
+  if (runner.currentLabel === null) return runner.statements;
+  return runner.callStack.find((frame) => frame.label === null)?.statements;
+}
+
+// Restore a snapshot from saveSnapshot() and display its current statement again
+// Commands of the displayed statement are not executed again
+function loadSnapshot(snapshot) {
+  const labelStatements = (label) =>
+    label === null ? snapshot.statements : _script[label];
+
+  // Labels may have been renamed or removed since the snapshot was saved
+  [
+    snapshot.label,
+    ...snapshot.callStack.map((frame) => frame.label),
+    snapshot.displayedStatement?.label,
+  ]
+    .filter((label) => label !== null && label !== undefined)
+    .forEach((label) => {
+      if (!_script[label]) throw new Error(`Label "${label}" not found`);
+    });
+
+  Object.keys(variables).forEach((name) => delete variables[name]);
+  Object.assign(variables, structuredClone(snapshot.variables));
+  runner.choiceHistory = structuredClone(snapshot.choiceHistory);
+  runner.dialogHistory = structuredClone(snapshot.history ?? []);
+  readStatements = new Set(snapshot.readStatements);
+  config.showNextPrompt = snapshot.showNextPrompt;
+
+  runner.statements = labelStatements(snapshot.label);
+  runner.statementCounter = snapshot.statementCounter;
+  runner.currentLabel = snapshot.label;
+  runner.callStack = snapshot.callStack.map((frame) => ({
+    ...frame,
+    statements: labelStatements(frame.label),
+  }));
+  runner.pendingChoice = null;
+  runner.displayedStatement = snapshot.displayedStatement;
+  runner.chatMessages = [];
+  interruptPlay("Dialog interrupted by load()");
+
+  clear();
+
+  // Set the background, music and stage again, without transitions
+  setBackground(snapshot.background ?? "none", "none");
+  playMusic(snapshot.music ?? "none", "none");
+  Object.keys(stage).forEach((who) => {
+    stage[who].obj.destroy();
+    delete stage[who];
+  });
+  Object.entries(snapshot.stage ?? {}).forEach(([who, staged]) =>
+    showCharacter(`${who}:${staged.expression}`, staged.slot, "none")
+  );
+
+  redisplay(labelStatements);
+}
+
+// Display the statement on screen again, without executing its commands
+function redisplay(labelStatements) {
+  if (!runner.displayedStatement) return;
+
+  const { label, statementIndex, alternative } = runner.displayedStatement;
+  let statement = labelStatements(label)[statementIndex];
+  if (alternative !== undefined) statement = statement[alternative];
+
+  const dialogObject = parse(statement, false);
+  dialogObject.alternative = alternative;
+  localize(dialogObject, label, statementIndex);
+  evaluateDialog(dialogObject);
+  displayDialog(dialogObject);
+}
+
+// Record a displayed line, dropping the oldest ones past capacity
+function recordHistory(dialogObject) {
+  if (dialogObject.statement === "" && !dialogObject.choices) return;
+
+  runner.dialogHistory.push({
+    who: dialogObject.who,
+    name: _characters[dialogObject.who].name,
+    expression: dialogObject.expression,
+    text: dialogObject.statement,
+    choices: dialogObject.choices?.map((choice) => choice.text),
+  });
+  if (runner.dialogHistory.length > config.history.capacity)
+    runner.dialogHistory.splice(
+      0,
+      runner.dialogHistory.length - config.history.capacity
+    );
+}
+
+// Lines displayed so far, oldest first
+function getHistory() {
+  return structuredClone(runner.dialogHistory);
+}
+
+// Open or close the backlog overlay, toggle it without argument
+// Returns whether it is open
+function setBacklog(open = !backlogObj) {
+  if (open && !backlogObj) openBacklog();
+  if (!open && backlogObj) {
+    backlogObj.destroy();
+    backlogObj = null;
+  }
+  return open;
+}
+
+// Scrollable overlay listing history, scrolled to the latest line
+function openBacklog() {
+  const conf = config.history.backlog;
+
+  backlogObj = add([
+    rect(width(), height()),
+    color(Object.values(conf.color)),
+    opacity(conf.opacity),
+    pos(0, 0),
+    z(conf.z),
+    "loquaceBacklog",
+  ]);
+  const obj = backlogObj;
+  obj.onDestroy(() => {
+    if (backlogObj === obj) backlogObj = null; // e.g. scene change
+  });
+
+  const content = backlogObj.add([pos(conf.padding, 0)]);
+  const textWidth = width() - 2 * conf.padding;
+  let contentHeight = 0;
+  const addLine = (string, textConf) => {
+    const styledText = parseStyleTags(string, textConf.options);
+    const lineObj = content.add([
+      text(parseTypewriterTags(styledText.text).text, {
+        ...textConf.options,
+        width: textWidth,
+        styles: styledText.styles,
+      }),
+      color(Object.values(textConf.color)),
+      pos(0, contentHeight),
+    ]);
+    contentHeight += lineObj.height;
+  };
+
+  runner.dialogHistory.forEach((entry) => {
+    if (entry.name) addLine(entry.name, conf.nameText);
+    if (entry.text !== "") addLine(entry.text, conf.dialogText);
+    if (entry.choice !== undefined)
+      addLine(`> ${entry.choices[entry.choice]}`, conf.choiceText);
+    contentHeight += conf.spacing;
+  });
+
+  const maxY = conf.padding;
+  const minY = Math.min(maxY, height() - conf.padding - contentHeight);
+  content.pos.y = minY;
+  const scroll = (amount) => {
+    content.pos.y = clamp(content.pos.y + amount, minY, maxY);
+  };
+
+  onInputPress(backlogObj, conf.input.up, () => scroll(conf.scrollStep));
+  onInputPress(backlogObj, conf.input.down, () => scroll(-conf.scrollStep));
+  // From the next frame: KAPLAY would also run a handler added during the
+  // press that opens the backlog, when open and close share a button
+  wait(0, () => {
+    if (obj.exists())
+      onInputPress(obj, conf.input.close, () => setBacklog(false));
+  });
+  backlogObj.onScroll((delta) => scroll(-delta.y));
+}
+
+// Save the current snapshot in localStorage
+function saveSlot(slot = "default") {
+  setData(config.saveKeyPrefix + slot, saveSnapshot());
+}
+
+// Load a snapshot from localStorage, returns false if the slot is empty
+function loadSlot(slot = "default") {
+  const snapshot = getData(config.saveKeyPrefix + slot);
+  if (!snapshot) return false;
+
+  loadSnapshot(snapshot);
+  return true;
+}
+
+function deleteSlot(slot = "default") {
+  window.localStorage.removeItem(config.saveKeyPrefix + slot);
+}
+
+// Returns a promise, resolved once dialogs are gone
+function clear() {
+  return clearDialogs();
+}
+
+// Take dialogs of the current runner out with their exit transition, then destroy
+// them, but the one to keep (if any). Returns a promise, resolved once done
+function clearDialogs(keep = null) {
+  const exits = ownDialogs().map((o) => {
+    if (o === keep || o.is("persistent")) return null;
+    if (o.clearing) return o.clearing; // Already on its way out
+    o.typewriter?.stop(); // Stop revealing, next() must not complete it
+    o.clearing = new Promise((resolve) => {
+      transitionDialog(o, o.transition ?? config.pop.transition, false, () => {
+        o.destroy();
+        withRunner(o.runner, () => emit("dialogCleared", o));
+        resolve();
+      });
+    });
+    return o.clearing;
+  });
+  return Promise.all(exits).then(() => {});
+}
+
+// Bring a dialog in with the enter transition of its options, from where it is
+// placed. The "slide" preset starts from slideFrom (no movement without it)
+function enterDialog(obj, conf, slideFrom = null) {
+  obj.transition = {
+    ...conf.transition,
+    enter: conf.doTween ? conf.transition.enter : "none",
+    exit: conf.doTween ? conf.transition.exit : "none",
+  };
+  obj.slideFrom = slideFrom; // The exit slides back there
+  obj.entering = true;
+  transitionDialog(obj, obj.transition, true, () => (obj.entering = false));
+}
+
+// Animate a dialog between where it is shown and where its transition preset
+// (see config.pop.transition) hides it, on the way in or out, then call onEnd
+function transitionDialog(obj, transition, entering, onEnd) {
+  const preset = entering ? transition.enter : transition.exit;
+  const shownPos = vec2(obj.pos.x, obj.pos.y);
+  const shownOpacity = obj.shownOpacity ?? 1;
+  // Slides come in from one edge, and go out to the opposite one
+  const [before, after] =
+    {
+      slide: [obj.slideFrom, obj.slideFrom],
+      slideUp: [vec2(shownPos.x, height()), vec2(shownPos.x, -obj.height)],
+      slideDown: [vec2(shownPos.x, -obj.height), vec2(shownPos.x, height())],
+      slideLeft: [vec2(width(), shownPos.y), vec2(-obj.width, shownPos.y)],
+      slideRight: [vec2(-obj.width, shownPos.y), vec2(width(), shownPos.y)],
+    }[preset] ?? [];
+  const hiddenPos = (entering ? before : after) ?? shownPos;
+  if (preset === "scale" && obj.scale === undefined) obj.use(scale(1));
+
+  // From 0 (hidden) to 1 (shown)
+  const apply = (t) => {
+    const offset = vec2(
+      (hiddenPos.x - shownPos.x) * (1 - t),
+      (hiddenPos.y - shownPos.y) * (1 - t)
+    );
+    if (preset === "scale") {
+      // Grow from the center
+      obj.scale = vec2(t);
+      offset.x += (obj.width * (1 - t)) / 2;
+      offset.y += (obj.height * (1 - t)) / 2;
+    }
+    // A bubble following its speaker is placed every frame, with this offset
+    if (obj.followOffset) {
+      obj.followOffset = offset;
+    } else {
+      obj.pos.x = shownPos.x + offset.x;
+      obj.pos.y = shownPos.y + offset.y;
+    }
+    obj.opacity = shownOpacity * t;
+    obj.children.forEach((c) => (c.opacity = t));
+  };
+
+  obj.transitionTween?.cancel(); // An exit takes over an enter
+  if (preset === "none" || !transition.duration) {
+    apply(entering ? 1 : 0);
+    onEnd();
+    return;
+  }
+
+  apply(entering ? 0 : 1);
+  obj.transitionTween = tween(
+    entering ? 0 : 1,
+    entering ? 1 : 0,
+    transition.duration,
+    apply,
+    easings[transition.easing] ?? easings.linear
+  );
+  obj.transitionTween.onEnd(onEnd);
+}
+
+// Dialogs displayed by the current runner (pop() and vn() use the default one)
+function ownDialogs() {
+  return get("loquaceDialog").filter((o) => o.runner === runner);
+}
+
+// Script position and dialogs of a runner
+function createRunnerState() {
+  return {
+    statements: undefined,
+    statementCounter: 0,
+    currentLabel: null, // Label of the current statements (null for an orphan script)
+    callStack: [], // Frames to return to when a called label is over
+    pendingChoice: null, // Choice awaiting player selection, blocks next()
+    displayedStatement: null, // Position of the statement on screen: { label, statementIndex }
+    choiceHistory: [], // Choices made by the player
+    events: undefined, // KAPLAY event handler, created on first use
+    displayedWasRead: false, // Statement on screen had been read before
+    displayedTextLength: 0, // For auto mode delay
+    autoAdvanceTimer: 0,
+    dialogHistory: [], // Displayed lines: { who, name, expression, text, choices, choice }
+    voice: null, // Voice clip of the statement on screen
+    nvlPage: null, // NVL dialog on screen, lines are added to it
+    chatMessages: [], // Messages on the chat phone: { name, text, styles, statement }
+    pendingPlay: null, // play() or say() waiting for the dialog to end: { resolve, reject, result }
+  };
+}
+
+// Run an action with another runner as the current one
+function withRunner(state, action) {
+  const previous = runner;
+  runner = state;
+  try {
+    return action();
+  } finally {
+    runner = previous;
+  }
+}
+
+// Create a dialog runner, with its own script position, dialogs and events
+// Characters, script, variables and the stage are shared with every runner
+function createRunner() {
+  const state = createRunnerState();
+  runners.push(state);
+
+  const bind =
+    (fn) =>
+    (...args) =>
+      withRunner(state, () => fn(...args));
+
+  return {
+    script: bind(script),
+    start: bind(start),
+    play: bind(playLabel),
+    say: bind(say),
+    next: bind(next),
+    clear: bind(clear),
+    on: bind(onEvent),
+    history: bind(getHistory),
+    save: bind(saveSnapshot),
+    load: bind(loadSnapshot),
+    destroy: bind(() => {
+      interruptPlay("Runner destroyed");
+      clear();
+      runners.splice(runners.indexOf(state), 1);
+    }),
+  };
+}
+
+// Show a character on stage: `r:happy`, or update its expression and slot if
+// already shown. The expression sprite comes from the character's expressions
+function showCharacter(who, slot, transition = config.stage.transition) {
+  const [key, expression] = String(who).split(":");
+  const character = _characters[key];
+  if (!character) throw new Error(`Character "${key}" not found`);
+
+  const staged = stage[key];
+  const stagedExpression =
+    expression ?? staged?.expression ?? character.defaultExpression;
+  const spriteName = character.expressions?.[stagedExpression];
+  if (!spriteName) {
+    throw new Error(
+      `Expression "${stagedExpression}" not found for character "${key}"`
+    );
+  }
+
+  const stagedSlot = slot ?? staged?.slot ?? config.stage.defaultSlot;
+  const x = slotX(stagedSlot);
+
+  // Already on stage: swap expression, move to the new slot
+  if (staged) {
+    staged.expression = stagedExpression;
+    staged.obj.sprite = spriteName;
+    if (stagedSlot !== staged.slot) {
+      staged.slot = stagedSlot;
+      moveOnStage(staged.obj, x, transition);
+    }
+    return;
+  }
+
+  const obj = add([
+    sprite(spriteName, config.stage.spriteOptions),
+    pos(x, height() * config.stage.y),
+    anchor("bot"),
+    color(),
+    opacity(1),
+    z(config.stage.z),
+    "loquaceStage",
+  ]);
+  stage[key] = { obj, expression: stagedExpression, slot: stagedSlot };
+
+  // Stage objects don't survive scene changes
+  obj.onDestroy(() => {
+    if (stage[key]?.obj === obj) delete stage[key];
+  });
+
+  stageTransition(obj, transition, true);
+}
+
+function hideCharacter(who, transition = config.stage.transition) {
+  const staged = stage[who];
+  if (!staged) {
+    debugWarn(`hide: Character "${who}" is not on stage`);
+    return;
+  }
+
+  delete stage[who];
+  stageTransition(staged.obj, transition, false, () => staged.obj.destroy());
+}
+
+// Horizontal position of a slot name, or of a fraction of screen width
+function slotX(slot) {
+  const fraction = typeof slot === "number" ? slot : config.stage.slots[slot];
+  if (fraction === undefined) throw new Error(`Slot "${slot}" not found`);
+  return width() * fraction;
+}
+
+// Fade or slide a stage object in (show) or out
+function stageTransition(obj, transition, show, onEnd = () => {}) {
+  obj.stageTween?.cancel();
+
+  switch (transition) {
+    case "none":
+      onEnd();
+      break;
+    case "fade":
+      if (show) obj.opacity = 0;
+      obj.stageTween = tween(
+        show ? 0 : 1,
+        show ? 1 : 0,
+        config.stage.duration,
+        (v) => (obj.opacity = v),
+        easings.easeOutQuad
+      );
+      obj.stageTween.onEnd(onEnd);
+      break;
+    case "slide": {
+      // From or to the nearest edge of the screen
+      const x = obj.pos.x;
+      const edgeX = x < width() / 2 ? -obj.width : width() + obj.width;
+      if (show) obj.pos.x = edgeX;
+      obj.stageTween = tween(
+        show ? edgeX : x,
+        show ? x : edgeX,
+        config.stage.duration,
+        (v) => (obj.pos.x = v),
+        easings.easeOutQuad
+      );
+      obj.stageTween.onEnd(onEnd);
+      break;
+    }
+    default:
+      throw new Error(`Transition "${transition}" not found`);
+  }
+}
+
+function moveOnStage(obj, x, transition) {
+  obj.stageTween?.cancel();
+
+  if (transition === "none") {
+    obj.pos.x = x;
+    return;
+  }
+  obj.stageTween = tween(
+    obj.pos.x,
+    x,
+    config.stage.duration,
+    (v) => (obj.pos.x = v),
+    easings.easeOutQuad
+  );
+}
+
+// Typewriter sound of a character: `blip` shorthand for dialogOptions
+function characterBlip(who) {
+  const blip = _characters[who].blip;
+  return blip ? { typewriter: { sound: blip } } : {};
+}
+
+// Play looping music (or stop it with "none"), the same music keeps playing
+function playMusic(
+  name,
+  transition = config.audio.music.transition,
+  duration = config.audio.music.duration
+) {
+  finishMusicTransition();
+  if (String(name) === (music?.name ?? "none")) return;
+
+  const previous = music;
+  music =
+    name === "none" ? null : { name: String(name), handle: null, level: 0 };
+  const current = music;
+  if (previous) fadingMusic.push(previous);
+
+  // Tween the level of a music, its volume follows (see updateMusicVolume)
+  const fade = (target, from, to, time, onEnd = () => {}) => {
+    target.level = from;
+    const t = tween(from, to, time, (v) => (target.level = v), easings.linear);
+    t.onEnd(onEnd);
+    musicTweens.push(t);
+  };
+  const stopPrevious = () => {
+    previous?.handle?.stop();
+    fadingMusic = fadingMusic.filter((m) => m !== previous);
+  };
+
+  switch (transition) {
+    case "none":
+      stopPrevious();
+      startMusic(current, 1);
+      break;
+    case "fade": {
+      // Previous music fades out, then the new one fades in
+      const fadeInNew = () => {
+        stopPrevious();
+        if (startMusic(current, 0)) fade(current, 0, 1, duration / 2);
+      };
+      if (previous) fade(previous, previous.level, 0, duration / 2, fadeInNew);
+      else fadeInNew();
+      break;
+    }
+    case "crossfade":
+      if (startMusic(current, 0)) fade(current, 0, 1, duration);
+      if (previous) fade(previous, previous.level, 0, duration, stopPrevious);
+      break;
+    default:
+      throw new Error(`Transition "${transition}" not found`);
+  }
+}
+
+// Start playing a music (if any) at a level, returns whether it started
+function startMusic(target, level) {
+  if (!target) return false;
+  target.handle = play(target.name, {
+    loop: config.audio.music.loop,
+    volume: level * config.audio.volume.music,
+  });
+  target.level = level;
+  return true;
+}
 
-    // Process built-in commands on top of registered commands
-    if (command === "enableNextPrompt") config.showNextPrompt = true;
-    if (command === "disableNextPrompt") config.showNextPrompt = false;
+// Jump to the end of a running music transition
+function finishMusicTransition() {
+  musicTweens.forEach((t) => t.cancel());
+  musicTweens = [];
+  fadingMusic.forEach((m) => m.handle?.stop());
+  fadingMusic = [];
+  if (music && !music.handle) startMusic(music, 1);
+  if (music) music.level = 1;
+}
+
+// Music volume follows its transition level and its channel volume
+function updateMusicVolume() {
+  [music, ...fadingMusic].forEach((m) => {
+    if (m?.handle) m.handle.volume = m.level * config.audio.volume.music;
   });
 }
 
-function displayDialog(dialogObject) {
-  // Do not display anything if statement is empty (e.g. if it was only a command)
-  if (dialogObject.statement === "") return;
+// Set the background: a sprite name, a color (name or hex) or "none"
+function setBackground(
+  name,
+  transition = config.background.transition,
+  duration = config.background.duration
+) {
+  finishBackgroundTransition();
+
+  const previousObj = background?.obj;
+  const obj = name === "none" ? null : addBackground(String(name));
+  background = obj ? { name: String(name), obj } : null;
+
+  // Backgrounds don't survive scene changes
+  obj?.onDestroy(() => {
+    if (background?.obj === obj) background = null;
+  });
 
-  // Display dialog by type
-  switch (_characters[dialogObject.who].dialogType) {
-    case "vn":
-      // Traditional visual novel dialog box at the bottom of the screen
-      vn(
-        dialogObject.statement,
-        deepMerge(
-          config.vn,
-          {
-            name: _characters[dialogObject.who].name,
-            sideImage: { name: dialogObject.sideImage },
-          },
-          _characters[dialogObject.who].dialogOptions || {}
-        )
-      );
+  // Tween the opacity of a background object (or curtain)
+  const fade = (target, from, to, time, onEnd = () => {}) => {
+    const t = tween(
+      from,
+      to,
+      time,
+      (v) => (target.opacity = v),
+      easings.easeOutQuad
+    );
+    t.onEnd(onEnd);
+    backgroundTweens.push(t);
+  };
+
+  switch (transition) {
+    case "none":
+      previousObj?.destroy();
+      break;
+    case "fade": {
+      // Previous background fades out, then the new one fades in
+      if (obj) obj.opacity = 0;
+      const fadeInNew = () => {
+        previousObj?.destroy();
+        if (obj) fade(obj, 0, 1, duration / 2);
+      };
+      if (previousObj) fade(previousObj, 1, 0, duration / 2, fadeInNew);
+      else fadeInNew();
+      break;
+    }
+    case "crossfade":
+      // New background fades in over the previous one
+      if (obj) {
+        obj.opacity = 0;
+        fade(obj, 0, 1, duration, () => previousObj?.destroy());
+      } else if (previousObj) {
+        fade(previousObj, 1, 0, duration, () => previousObj.destroy());
+      }
       break;
+    case "fadeToBlack": {
+      // Fade the screen to black, swap backgrounds, fade back
+      if (obj) obj.opacity = 0;
+      const curtain = add([
+        rect(width(), height()),
+        color(0, 0, 0),
+        pos(0, 0),
+        opacity(0),
+        z(config.stage.z + 1),
+        "loquaceCurtain",
+      ]);
+      fade(curtain, 0, 1, duration / 2, () => {
+        previousObj?.destroy();
+        if (obj) obj.opacity = 1;
+        fade(curtain, 1, 0, duration / 2, () => curtain.destroy());
+      });
+      break;
+    }
     default:
-      // Positionable dialog pop-up or pop-down
-      pop(
-        dialogObject.statement,
-        deepMerge(
-          config.pop,
-          {
-            name: _characters[dialogObject.who].name,
-            position: _characters[dialogObject.who].position
-              ? _characters[dialogObject.who].position
-              : config.pop.position, // NOTE: Optional shorthand for dialogOptions.position
-            sideImage: { name: dialogObject.sideImage },
-          },
-          _characters[dialogObject.who].dialogOptions || {}
-        )
-      );
+      throw new Error(`Transition "${transition}" not found`);
   }
 }
 
-function clear() {
-  get("loquaceDialog").forEach((o) => {
-    if (o.is("persistent")) return;
-    tween(
-      o.opacity,
-      0,
-      0.5,
-      (v) => {
-        o.opacity = v;
-        o.children.forEach((c) => (c.opacity = v));
-      },
-      easings.easeOutQuad
-    ).onEnd(() => o.destroy());
+function addBackground(name) {
+  const isColor = name.startsWith("#") || name in namedColors;
+  return add([
+    isColor
+      ? rect(width(), height())
+      : sprite(
+          name,
+          config.background.spriteOptions ?? {
+            width: width(),
+            height: height(),
+          }
+        ),
+    color(isColor ? rgb(namedColors[name] ?? name) : rgb(255, 255, 255)),
+    pos(0, 0),
+    opacity(1),
+    z(config.background.z),
+    "loquaceBackground",
+  ]);
+}
+
+// Jump to the end of a running background transition
+function finishBackgroundTransition() {
+  backgroundTweens.forEach((t) => t.cancel());
+  backgroundTweens = [];
+  get("loquaceCurtain").forEach((o) => o.destroy());
+  get("loquaceBackground").forEach((o) => {
+    if (o === background?.obj) o.opacity = 1;
+    else o.destroy();
+  });
+}
+
+// Show the speaker's expression on stage, dim the other characters
+function updateStage(dialogObject) {
+  const speaker = stage[dialogObject.who];
+  if (
+    speaker &&
+    dialogObject.expression !== undefined &&
+    !dialogObject.expressionIsDefault
+  )
+    showCharacter(`${dialogObject.who}:${dialogObject.expression}`);
+
+  Object.entries(stage).forEach(([who, staged]) => {
+    const dimmed =
+      config.stage.dimInactive && speaker && who !== dialogObject.who;
+    staged.obj.color = rgb(
+      dimmed ? Object.values(config.stage.dimColor) : [255, 255, 255]
+    );
   });
 }
 
 function pop(string, options = {}) {
-  // Deep merge options with default config
-  const conf = deepMerge(config.pop, options);
+  // Deep merge options with default config (callbacks and game objects can't be cloned)
+  const { onChoice, follow, ...dialogOptions } = options;
+  const conf = dialogConfig(config.pop, dialogOptions);
+
+  // Speaker to follow: a game object, or the first one with a tag
+  const speaker =
+    typeof follow === "string" ? get(follow, { recursive: true })[0] : follow;
+  if (follow && !speaker)
+    debugWarn(`pop(): No game object tagged "${follow}" to follow`);
+
+  // Style and typewriter tags are not displayed
+  const styledText = parseStyleTags(string, conf.dialogText.options);
+  const typewriterText = parseTypewriterTags(styledText.text);
 
   // Calculate base textBox height (will be adjusted for dialog height later)
   const baseTextboxHeight =
@@ -483,15 +3022,16 @@ function pop(string, options = {}) {
       startyPos = -baseTextboxHeight;
   }
 
-  const textBoxObj = add([
-    rect(conf.textBox.width, baseTextboxHeight, conf.textBox.options),
-    color(conf.textBox.color ? Object.values(conf.textBox.color) : WHITE),
-    pos(xPos, startyPos),
-    opacity(conf.doTween ? 0 : 1),
-    "loquaceDialog",
-  ]);
+  const textBoxObj = addTextBox(
+    conf,
+    conf.textBox.width,
+    baseTextboxHeight,
+    xPos,
+    startyPos
+  );
 
   if (conf.persistent) textBoxObj.tag("persistent");
+  addClickToAdvance(textBoxObj);
 
   if (conf.sideImage.name) {
     textBoxObj.add([
@@ -501,46 +3041,52 @@ function pop(string, options = {}) {
     ]);
   }
 
+  const textX = conf.sideImage.name
+    ? conf.sideImage.options.width
+    : conf.textBox.padding.left;
+  const nameHeight = addNamePlate(textBoxObj, conf, textX);
+
   const textObj = textBoxObj.add([
-    text(string, conf.dialogText.options),
+    text(typewriterText.text, {
+      ...conf.dialogText.options,
+      styles: styledText.styles,
+    }),
     color(conf.dialogText.color ? Object.values(conf.dialogText.color) : BLACK),
-    pos(
-      conf.sideImage.name
-        ? conf.sideImage.options.width
-        : conf.textBox.padding.left,
-      conf.textBox.padding.top + conf.dialogText.offsetX
-    ),
+    pos(textX, conf.textBox.padding.top + nameHeight + conf.dialogText.offsetX),
     opacity(1),
   ]);
 
+  // List choices below the dialog text
+  const choicesHeight = conf.choices
+    ? addChoices(
+        textBoxObj,
+        conf,
+        textObj.pos.x,
+        textObj.pos.y + textObj.height,
+        conf.dialogText.options.width,
+        onChoice
+      )
+    : 0;
+
   // Adjust textBoxObj for dialog height
   textBoxObj.height =
-    textObj.height + conf.textBox.padding.top + conf.textBox.padding.bottom;
+    nameHeight +
+    textObj.height +
+    choicesHeight +
+    conf.textBox.padding.top +
+    conf.textBox.padding.bottom;
 
-  // Next Prompt sprite
-  if (
-    conf.showNextPrompt !== undefined
-      ? conf.showNextPrompt
-      : config.showNextPrompt
-  ) {
-    const nextPromptSprite = textBoxObj.add([
-      sprite(conf.nextPrompt.name, conf.nextPrompt.options),
-      pos(
-        conf.textBox.width -
-          conf.textBox.padding.right -
-          conf.nextPrompt.options.width / 2,
-        textBoxObj.height -
-          conf.textBox.padding.bottom -
-          conf.nextPrompt.options.width / 2
-      ),
-      anchor("center"),
-      opacity(1),
-      animate(),
-    ]);
-    nextPromptSprite.animate("scale", [vec2(1.2), vec2(1)], {
-      duration: 0.5,
-      direction: "ping-pong",
-    });
+  // Reveal text, then display the next prompt (or choices)
+  typewrite(textBoxObj, textObj, conf, typewriterText, () => {
+    textBoxObj.get("loquaceChoice").forEach((c) => (c.hidden = false));
+    if (!conf.choices) addNextPrompt(textBoxObj, conf);
+  });
+
+  if (speaker) {
+    followSpeaker(textBoxObj, speaker, conf); // Transitions are offsets from the speaker
+    enterDialog(textBoxObj, conf);
+    emit("dialogShown", textBoxObj);
+    return textBoxObj;
   }
 
   // Multiplier to offset yPos for text height
@@ -555,32 +3101,414 @@ function pop(string, options = {}) {
     mult = 0.5;
   }
 
-  if (conf.doTween) {
-    // Tween position and opacity
-    tween(
-      textBoxObj.pos.y,
-      yPos - textBoxObj.height * mult,
-      0.5,
-      (y) => (textBoxObj.pos.y = y),
-      easings.easeOutQuad
-    );
-    tween(
-      textBoxObj.opacity,
-      1,
-      0.5,
-      (v) => (textBoxObj.opacity = v),
-      easings.easeOutQuad
+  textBoxObj.pos.y = yPos - textBoxObj.height * mult;
+  enterDialog(textBoxObj, conf, vec2(xPos, startyPos));
+
+  emit("dialogShown", textBoxObj);
+
+  return textBoxObj; // Allow for further manipulation and/or custom tweening
+}
+
+// Add the box of a dialog: a rect, or a sprite (nine-slice if loaded with slice9),
+// with its border and shadow
+function addTextBox(conf, boxWidth, boxHeight, x, y) {
+  const box = conf.textBox;
+  const shape = () =>
+    box.sprite
+      ? sprite(box.sprite, { width: boxWidth, height: boxHeight })
+      : rect(boxWidth, boxHeight, box.options);
+
+  // Added first to be drawn behind the box
+  const shadowObj = box.shadow
+    ? add([
+        shape(),
+        color(Object.values(box.shadow.color)),
+        pos(x, y),
+        opacity(0),
+      ])
+    : null;
+
+  const textBoxObj = add([
+    shape(),
+    color(box.color ? Object.values(box.color) : WHITE), // Tints sprites
+    pos(x, y),
+    opacity(conf.doTween ? 0 : 1),
+    ...(box.border
+      ? [outline(box.border.width, rgb(Object.values(box.border.color)))]
+      : []),
+    "loquaceDialog",
+    {
+      runner, // Cleared and advanced by the runner that displayed it
+      shadow: shadowObj,
+    },
+  ]);
+
+  if (shadowObj) {
+    // Follow the box as it is resized, moved and faded
+    textBoxObj.onUpdate(() => {
+      shadowObj.width = textBoxObj.width;
+      shadowObj.height = textBoxObj.height;
+      shadowObj.pos.x = textBoxObj.pos.x + box.shadow.offset.x;
+      shadowObj.pos.y = textBoxObj.pos.y + box.shadow.offset.y;
+      shadowObj.opacity = textBoxObj.opacity * box.shadow.opacity;
+      shadowObj.hidden = textBoxObj.hidden;
+    });
+    textBoxObj.onDestroy(() => shadowObj.destroy());
+  }
+
+  return textBoxObj;
+}
+
+// Keep a pop bubble over its speaker, with a tail pointing at it
+// The bubble is placed in screen space from the speaker seen through the camera
+function followSpeaker(textBoxObj, speaker, conf) {
+  const { gap, tail } = conf.bubble;
+  const margin = conf.textBox.margin;
+  const radius = conf.textBox.options.radius ?? 0;
+
+  textBoxObj.use(fixed());
+  textBoxObj.shadow?.use(fixed());
+  const tailObj = textBoxObj.add([
+    polygon([vec2(0), vec2(0), vec2(0)]),
+    color(textBoxObj.color),
+    pos(0, 0),
+    opacity(1),
+  ]);
+  textBoxObj.tail = tailObj; // Thought bubbles trail along it instead
+  textBoxObj.followOffset = vec2(0); // Set by transitions (see transitionDialog)
+
+  let placed = vec2(textBoxObj.pos.x, textBoxObj.pos.y); // Offsets aside
+  const anchor = () => {
+    const { top, bottom } = speakerBounds(speaker);
+    const boxWidth = textBoxObj.width;
+    const boxHeight = textBoxObj.height;
+
+    // Above the speaker, or below it if there's no room left
+    let y = top.y - gap - tail.height - boxHeight;
+    const below = y < margin;
+    if (below) y = bottom.y + gap + tail.height;
+
+    const x = clamp(top.x - boxWidth / 2, margin, width() - margin - boxWidth);
+    placed = vec2(x, clamp(y, margin, height() - margin - boxHeight));
+
+    // Tail along the edge facing the speaker, kept off the rounded corners
+    tailObj.pos.x = clamp(
+      top.x - x,
+      radius + tail.width / 2,
+      boxWidth - radius - tail.width / 2
     );
-  } else {
-    textBoxObj.pos.y = yPos - textBoxObj.height * mult;
+    tailObj.pos.y = below ? 0 : boxHeight;
+    const tip = below ? -tail.height : tail.height;
+    tailObj.pts = [
+      vec2(-tail.width / 2, 0),
+      vec2(tail.width / 2, 0),
+      vec2(0, tip),
+    ];
+  };
+
+  const place = () => {
+    if (speaker.exists()) anchor(); // Or stay where it was last spoken from
+    textBoxObj.pos.x = placed.x + textBoxObj.followOffset.x;
+    textBoxObj.pos.y = placed.y + textBoxObj.followOffset.y;
+  };
+
+  place();
+  textBoxObj.onUpdate(place);
+}
+
+// Top and bottom center of a game object, in screen coordinates
+function speakerBounds(speaker) {
+  if (!speaker.worldArea) {
+    const point = speaker.screenPos();
+    return { top: point, bottom: point };
   }
 
-  return textBoxObj; // Allow for further manipulation and/or custom tweening
+  const bbox = speaker.worldArea().bbox();
+  const x = bbox.pos.x + bbox.width / 2;
+  return {
+    top: toScreen(vec2(x, bbox.pos.y)),
+    bottom: toScreen(vec2(x, bbox.pos.y + bbox.height)),
+  };
+}
+
+// Thought bubble: a pop with rounder corners (see config.thought), trailed by
+// small circles instead of a tail
+function thought(string, options = {}) {
+  const { onChoice, follow, ...dialogOptions } = options;
+  const conf = dialogConfig(
+    deepMerge(config.pop, config.thought),
+    dialogOptions
+  );
+  const textBoxObj = pop(string, { ...conf, onChoice, follow });
+  const { count, size, offsetX } = conf.trail;
+
+  const circles = Array.from({ length: count }, (_, i) =>
+    textBoxObj.add([
+      circle(((1 - i / count) * size) / 2),
+      color(textBoxObj.color),
+      pos(0, 0),
+      opacity(1),
+    ])
+  );
+  if (textBoxObj.tail) textBoxObj.tail.hidden = true;
+
+  // From the bottom edge, or along the tail when following a speaker
+  const placeTrail = () => {
+    const tail = textBoxObj.tail;
+    const up = tail && tail.pos.y === 0; // Bubble below its speaker
+    circles.forEach((c, i) => {
+      const distance = (i + 0.5) * size;
+      c.pos.x = tail ? tail.pos.x : offsetX - (i * size) / 2;
+      c.pos.y = up ? -distance : textBoxObj.height + distance;
+    });
+  };
+
+  placeTrail();
+  textBoxObj.onUpdate(placeTrail);
+
+  return textBoxObj;
+}
+
+// Add a line to the NVL page of the runner, or to a new one covering the screen
+// The page is cleared when the line doesn't fit anymore
+function nvl(string, options = {}) {
+  // Deep merge options with default config (callbacks can't be cloned)
+  const { onChoice, ...dialogOptions } = options;
+  const conf = dialogConfig(config.nvl, dialogOptions);
+  const padding = conf.textBox.padding;
+
+  let pageObj = runner.nvlPage;
+  if (!pageObj?.exists() || pageObj.clearing) {
+    pageObj = runner.nvlPage = addNvlPage(conf);
+  }
+
+  // Previous line is over: choices were picked, the next prompt moves on
+  pageObj.get("loquaceChoice").forEach((c) => c.destroy());
+  pageObj.nextPromptObj?.destroy();
+
+  // Speaker name inline, before the line, displayed at once
+  const styledText = parseStyleTags(string, conf.dialogText.options);
+  const namePrefix = conf.name ? `${conf.name}${conf.nameSeparator}` : "";
+  const typewriterText = parseTypewriterTags(
+    conf.name
+      ? `[loquaceName]${namePrefix}[/loquaceName]${styledText.text}`
+      : styledText.text
+  );
+  typewriterText.start = namePrefix.length;
+
+  const lineWidth = pageObj.width - padding.left - padding.right;
+  const lineObj = pageObj.add([
+    text(typewriterText.text, {
+      ...conf.dialogText.options,
+      width: lineWidth,
+      styles: {
+        ...styledText.styles,
+        loquaceName: {
+          color: rgb(Object.values(conf.nameText.color)),
+          override: true,
+        },
+      },
+    }),
+    color(Object.values(conf.dialogText.color)),
+    pos(padding.left, pageObj.cursorY),
+    opacity(1),
+    "loquaceNvlLine",
+  ]);
+
+  const choicesHeight = conf.choices
+    ? addChoices(
+        pageObj,
+        conf,
+        lineObj.pos.x,
+        lineObj.pos.y + lineObj.height,
+        lineWidth,
+        onChoice
+      )
+    : 0;
+
+  // New page when the line overflows (unless it is alone and too long anyway)
+  const lineHeight = lineObj.height + choicesHeight;
+  if (
+    pageObj.cursorY + lineHeight > pageObj.height - padding.bottom &&
+    pageObj.cursorY > pageObj.firstLineY
+  ) {
+    pageObj
+      .get("loquaceNvlLine")
+      .filter((o) => o !== lineObj)
+      .forEach((o) => o.destroy());
+    const offset = pageObj.cursorY - pageObj.firstLineY;
+    lineObj.pos.y -= offset;
+    pageObj.get("loquaceChoice").forEach((c) => (c.pos.y -= offset));
+  }
+  pageObj.cursorY = lineObj.pos.y + lineObj.height + conf.spacing; // Choices go away
+
+  // Reveal text, then display the next prompt (or choices)
+  typewrite(lineObj, lineObj, conf, typewriterText, () => {
+    pageObj.get("loquaceChoice").forEach((c) => (c.hidden = false));
+    if (!conf.choices) pageObj.nextPromptObj = addNextPrompt(pageObj, conf);
+  });
+  pageObj.typewriter = lineObj.typewriter; // Completed by next()
+  if (pageObj.typewriter?.revealing)
+    pageObj.get("loquaceChoice").forEach((c) => (c.hidden = true));
+
+  emit("dialogShown", pageObj);
+
+  return pageObj;
+}
+
+// Add the panel of an NVL page, covering the screen
+function addNvlPage(conf) {
+  const box = conf.textBox;
+  const pageObj = addTextBox(
+    conf,
+    width() - 2 * box.margin,
+    height() - 2 * box.margin,
+    box.margin,
+    box.margin
+  );
+  pageObj.tag("loquaceNvl");
+  pageObj.firstLineY = box.padding.top;
+  pageObj.cursorY = pageObj.firstLineY; // Where the next line goes
+  addClickToAdvance(pageObj);
+
+  pageObj.shownOpacity = box.opacity; // Translucent panel
+  enterDialog(pageObj, conf, vec2(pageObj.pos.x, height()));
+
+  return pageObj;
+}
+
+// Remove the lines of an NVL page, the next one goes on top
+function clearNvlPage(pageObj) {
+  pageObj.get("loquaceNvlLine").forEach((o) => o.destroy());
+  pageObj.get("loquaceChoice").forEach((c) => c.destroy());
+  pageObj.nextPromptObj?.destroy();
+  pageObj.cursorY = pageObj.firstLineY;
+}
+
+// Whether a statement goes on the NVL page on screen: a line of an NVL
+// character, or commands only
+function keepsNvlPage(dialogObject) {
+  return (
+    _characters[dialogObject.who]?.dialogType === "nvl" ||
+    (dialogObject.statement === "" && !dialogObject.choices)
+  );
+}
+
+// Add a message to the chat of the runner, on a phone listing the last ones:
+// messages of config.chat.me on the right, the other party's on the left
+function chat(string, options = {}) {
+  // Deep merge options with default config (callbacks can't be cloned)
+  const { onChoice, ...dialogOptions } = options;
+  const conf = dialogConfig(config.chat, dialogOptions);
+  const box = conf.textBox;
+  const messageBox = conf.messageBox;
+
+  // A line displayed again (e.g. in another locale) replaces its message
+  const statement = runner.displayedStatement;
+  if (statement && runner.chatMessages.at(-1)?.statement === statement)
+    runner.chatMessages.pop();
+  const styledText = parseStyleTags(string, conf.dialogText.options);
+  const typewriterText = parseTypewriterTags(styledText.text);
+  runner.chatMessages.push({
+    name: conf.name,
+    text: typewriterText.text,
+    styles: styledText.styles,
+    statement,
+  });
+
+  const phoneObj = addTextBox(
+    conf,
+    box.width,
+    height() - 2 * box.margin,
+    width() - box.width - box.margin,
+    box.margin
+  );
+  addClickToAdvance(phoneObj);
+
+  // Messages pile up from the bottom, under the choices if any
+  const innerWidth = box.width - box.padding.left - box.padding.right;
+  const messageWidth = innerWidth - messageBox.indent;
+  let y = phoneObj.height - box.padding.bottom;
+  if (conf.choices) {
+    y -= addChoices(phoneObj, conf, box.padding.left, 0, innerWidth, onChoice);
+    phoneObj.get("loquaceChoice").forEach((c) => (c.pos.y += y));
+  }
+
+  let lastTextObj = null;
+  runner.chatMessages
+    .slice(-conf.visibleMessages)
+    .reverse()
+    .every((message, i) => {
+      const mine = conf.me !== null && message.name === conf.me;
+      const x = box.padding.left + (mine ? messageBox.indent : 0);
+
+      // Texts are children of the phone, to fade along with it
+      const bubbleObj = phoneObj.add([
+        rect(messageWidth, 0, messageBox.options),
+        color(Object.values(mine ? messageBox.myColor : messageBox.theirColor)),
+        pos(x, 0),
+        opacity(1),
+      ]);
+      const textObj = phoneObj.add([
+        text(message.text, {
+          ...conf.dialogText.options,
+          width: messageWidth - 2 * messageBox.padding,
+          styles: message.styles,
+        }),
+        color(Object.values(conf.dialogText.color)),
+        pos(x + messageBox.padding, 0),
+        opacity(1),
+      ]);
+      bubbleObj.height = textObj.height + 2 * messageBox.padding;
+      y -= bubbleObj.height;
+      bubbleObj.pos.y = y;
+      textObj.pos.y = y + messageBox.padding;
+      if (i === 0) lastTextObj = textObj;
+
+      const nameObj =
+        !mine && message.name
+          ? phoneObj.add([
+              text(message.name, conf.nameText.options),
+              color(Object.values(conf.nameText.color)),
+              pos(x, 0),
+              opacity(1),
+            ])
+          : null;
+      if (nameObj) {
+        y -= nameObj.height;
+        nameObj.pos.y = y;
+      }
+
+      // Older messages don't fit anymore (the last one is kept anyway)
+      if (y < box.padding.top && i > 0) {
+        [bubbleObj, textObj, nameObj].forEach((o) => o?.destroy());
+        return false;
+      }
+      y -= messageBox.spacing;
+      return true;
+    });
+
+  // Reveal the last message, then display the next prompt (or choices)
+  typewrite(phoneObj, lastTextObj, conf, typewriterText, () => {
+    phoneObj.get("loquaceChoice").forEach((c) => (c.hidden = false));
+    if (conf.nextPrompt && !conf.choices) addNextPrompt(phoneObj, conf);
+  });
+
+  enterDialog(phoneObj, conf, vec2(phoneObj.pos.x, height()));
+
+  emit("dialogShown", phoneObj);
+
+  return phoneObj;
 }
 
 function vn(string, options = {}) {
-  // Deep merge options with default config
-  const conf = deepMerge(config.vn, options);
+  // Deep merge options with default config (callbacks can't be cloned)
+  const { onChoice, ...dialogOptions } = options;
+  const conf = dialogConfig(config.vn, dialogOptions);
+
+  // Style and typewriter tags are not displayed
+  const styledText = parseStyleTags(string, conf.dialogText.options);
+  const typewriterText = parseTypewriterTags(styledText.text);
 
   const sideImageOffset = options.sideImage?.name
     ? conf.textBox.margin + conf.sideImage.options.width
@@ -591,24 +3519,18 @@ function vn(string, options = {}) {
     conf.textBox.padding.bottom;
 
   // Add objects to the scene
-  const textBoxObj = add([
-    rect(
-      width() - 2 * conf.textBox.margin - sideImageOffset,
-      baseTextboxHeight,
-      conf.textBox.options
-    ),
-    color(conf.textBox.color ? Object.values(conf.textBox.color) : WHITE),
-    pos(
-      sideImageOffset + conf.textBox.margin,
-      conf.doTween
-        ? height() + baseTextboxHeight
-        : height() - conf.textBox.margin - baseTextboxHeight
-    ),
-    opacity(conf.doTween ? 0 : 1),
-    "loquaceDialog",
-  ]);
+  const textBoxObj = addTextBox(
+    conf,
+    width() - 2 * conf.textBox.margin - sideImageOffset,
+    baseTextboxHeight,
+    sideImageOffset + conf.textBox.margin,
+    conf.doTween
+      ? height() + baseTextboxHeight
+      : height() - conf.textBox.margin - baseTextboxHeight
+  );
 
   if (conf.persistent) textBoxObj.tag("persistent");
+  addClickToAdvance(textBoxObj);
 
   let sideImageObj;
   if (conf.sideImage.name) {
@@ -629,71 +3551,341 @@ function vn(string, options = {}) {
     2 * conf.textBox.padding.right -
     conf.nextPrompt.options.width;
 
+  const nameHeight = addNamePlate(textBoxObj, conf, conf.textBox.padding.left);
+
   const textObj = textBoxObj.add([
-    text(string, conf.dialogText.options),
+    text(typewriterText.text, {
+      ...conf.dialogText.options,
+      styles: styledText.styles,
+    }),
     color(conf.dialogText.color ? Object.values(conf.dialogText.color) : BLACK),
     pos(
       conf.textBox.padding.left,
-      conf.textBox.padding.top + conf.dialogText.offsetX
+      conf.textBox.padding.top + nameHeight + conf.dialogText.offsetX
     ),
     opacity(1),
   ]);
 
+  // List choices below the dialog text
+  const choicesHeight = conf.choices
+    ? addChoices(
+        textBoxObj,
+        conf,
+        textObj.pos.x,
+        textObj.pos.y + textObj.height,
+        conf.dialogText.options.width,
+        onChoice
+      )
+    : 0;
+
   // Adjust textbox for textObj height
   textBoxObj.height =
-    textObj.height + conf.textBox.padding.top + conf.textBox.padding.bottom;
+    nameHeight +
+    textObj.height +
+    choicesHeight +
+    conf.textBox.padding.top +
+    conf.textBox.padding.bottom;
   if (conf.sideImage.name)
     sideImageObj.pos.y = -conf.sideImage.options.width + textBoxObj.height;
 
-  // Next Prompt sprite
-  if (
-    conf.showNextPrompt !== undefined
-      ? conf.showNextPrompt
-      : config.showNextPrompt
-  ) {
-    const nextPromptSprite = textBoxObj.add([
-      sprite(conf.nextPrompt.name, conf.nextPrompt.options),
-      pos(
-        width() -
-          2 * conf.textBox.margin -
-          sideImageOffset -
-          conf.textBox.padding.right -
-          conf.nextPrompt.options.width / 2,
-        textBoxObj.height -
-          conf.textBox.padding.bottom -
-          conf.nextPrompt.options.width / 2
-      ),
-      anchor("center"),
+  // Reveal text, then display the next prompt (or choices)
+  typewrite(textBoxObj, textObj, conf, typewriterText, () => {
+    textBoxObj.get("loquaceChoice").forEach((c) => (c.hidden = false));
+    if (!conf.choices) addNextPrompt(textBoxObj, conf);
+  });
+
+  textBoxObj.pos.y = height() - conf.textBox.margin - textBoxObj.height;
+  enterDialog(
+    textBoxObj,
+    conf,
+    vec2(textBoxObj.pos.x, height() + baseTextboxHeight)
+  );
+
+  emit("dialogShown", textBoxObj);
+
+  return textBoxObj; // Allow for further manipulation and/or custom tweening
+}
+
+// Add selectable choices to a dialog box at (x, y), returns their total height
+function addChoices(textBoxObj, conf, x, y, maxWidth, onChoice) {
+  let selected = 0;
+  let picked = false;
+  let choicesHeight = 0;
+
+  const choiceObjs = conf.choices.map((choice, i) => {
+    choicesHeight += conf.choiceText.spacing;
+
+    const styledChoice = parseStyleTags(choice, conf.choiceText.options);
+    const choiceObj = textBoxObj.add([
+      text(styledChoice.text, {
+        ...conf.choiceText.options,
+        width: maxWidth - conf.choiceText.indent,
+        styles: styledChoice.styles,
+      }),
+      color(Object.values(conf.choiceText.color)),
+      pos(x + conf.choiceText.indent, y + choicesHeight),
+      area(),
       opacity(1),
-      animate(),
+      "loquaceChoice",
     ]);
+
+    choiceObj.onHover(() => highlight(i));
+    choiceObj.onClick(() => pick(i));
+
+    choicesHeight += choiceObj.height;
+    return choiceObj;
+  });
+
+  function highlight(index) {
+    if (choiceObjs[0].hidden || backlogObj) return; // Not revealed yet, or under the backlog
+    selected = (index + choiceObjs.length) % choiceObjs.length; // Wrap around
+    choiceObjs.forEach((o, i) => {
+      o.color = rgb(
+        Object.values(
+          i === selected ? conf.choiceText.selectedColor : conf.choiceText.color
+        )
+      );
+    });
+  }
+
+  function pick(index) {
+    // Only the first pick counts, the box may still be fading out
+    if (picked || choiceObjs[0].hidden || backlogObj) return;
+    picked = true;
+    if (onChoice) onChoice(index);
+  }
+
+  onInputPress(textBoxObj, config.choiceInput.up, () =>
+    highlight(selected - 1)
+  );
+  onInputPress(textBoxObj, config.choiceInput.down, () =>
+    highlight(selected + 1)
+  );
+  onInputPress(textBoxObj, config.choiceInput.select, () => pick(selected));
+
+  highlight(selected);
+
+  return choicesHeight;
+}
+
+// Add the name plate of a dialog box, if it has a name
+// Returns the height taken inside the text box, to push the text down
+function addNamePlate(textBoxObj, conf, textX) {
+  if (!conf.name) return 0;
+
+  const inside = conf.nameBox.position === "inside";
+  const x = inside ? textX : conf.nameBox.offsetX;
+
+  // Both are children of the text box, to fade along with it
+  const nameBoxObj = textBoxObj.add([
+    rect(0, 0, conf.nameBox.options),
+    color(Object.values(conf.nameBox.color)),
+    pos(x, 0),
+    opacity(1),
+  ]);
+  const nameTextObj = textBoxObj.add([
+    text(conf.name, conf.nameText.options),
+    color(Object.values(conf.nameText.color)),
+    pos(x + conf.nameBox.padding.left, 0),
+    opacity(1),
+  ]);
+
+  // Fit name box to the name
+  nameBoxObj.width =
+    nameTextObj.width + conf.nameBox.padding.left + conf.nameBox.padding.right;
+  nameBoxObj.height =
+    nameTextObj.height + conf.nameBox.padding.top + conf.nameBox.padding.bottom;
+
+  const y = inside
+    ? conf.textBox.padding.top
+    : -nameBoxObj.height - conf.nameBox.margin;
+  nameBoxObj.pos.y = y;
+  nameTextObj.pos.y = y + conf.nameBox.padding.top;
+
+  return inside ? nameBoxObj.height + conf.nameBox.margin : 0;
+}
+
+// Add the animated next prompt sprite at the bottom right of a dialog box
+function addNextPrompt(textBoxObj, conf) {
+  if (
+    !(conf.showNextPrompt !== undefined
+      ? conf.showNextPrompt
+      : config.showNextPrompt)
+  )
+    return;
+
+  const padding = conf.textBox?.padding ?? { right: 0, bottom: 0 }; // Custom types may have none
+  const nextPromptSprite = textBoxObj.add([
+    sprite(conf.nextPrompt.name, conf.nextPrompt.options),
+    pos(
+      textBoxObj.width - padding.right - conf.nextPrompt.options.width / 2,
+      textBoxObj.height - padding.bottom - conf.nextPrompt.options.width / 2
+    ),
+    anchor("center"),
+    opacity(1),
+    animate(),
+  ]);
+  if (conf.nextPrompt.anim) {
+    nextPromptSprite.play(conf.nextPrompt.anim, { loop: true });
+  } else {
     nextPromptSprite.animate("scale", [vec2(1.2), vec2(1)], {
       duration: 0.5,
       direction: "ping-pong",
     });
   }
+  return nextPromptSprite;
+}
 
-  if (conf.doTween) {
-    // Tween position and opacity
-    tween(
-      textBoxObj.pos.y,
-      height() - conf.textBox.margin - textBoxObj.height,
-      0.5,
-      (y) => (textBoxObj.pos.y = y),
-      easings.easeOutQuad
-    );
-    tween(
-      textBoxObj.opacity,
-      1,
-      0.5,
-      (v) => (textBoxObj.opacity = v),
-      easings.easeOutQuad
-    );
-  } else {
-    textBoxObj.pos.y = height() - conf.textBox.margin - textBoxObj.height;
+// Turn rich text tags into KAPLAY styled text: tags with a value (`[color=red]`)
+// get a unique style name, as KAPLAY only matches bare tags
+// Returns the text with KAPLAY tags and the styles for text() options
+function parseStyleTags(string, options) {
+  const result = { text: "", styles: {} };
+  const opened = []; // Style tags, to match closing tags with their style name
+  let rest = string;
+
+  while (rest !== "") {
+    let match = rest.match(/^\[(\/)?(\w+)(?:=([^\]]+))?\]/);
+    if (match && match[2] in registeredStyles) {
+      const [tag, closing, name, value] = match;
+      if (closing) {
+        const top = opened.at(-1);
+        // Mismatched tags are left for KAPLAY to report
+        result.text += top?.name === name ? `[/${opened.pop().key}]` : tag;
+      } else {
+        const key =
+          value === undefined
+            ? name
+            : `${name}_${Object.keys(result.styles).length}`;
+        const style = registeredStyles[name];
+        result.styles[key] =
+          typeof style === "function" ? style(value, options) : style;
+        opened.push({ name, key });
+        result.text += `[${key}]`;
+      }
+    } else {
+      // Other tag, escaped (`\[`) or regular character
+      match = match || rest.match(/^\\?[^]/);
+      result.text += match[0];
+    }
+    rest = rest.slice(match[0].length);
   }
 
-  return textBoxObj; // Allow for further manipulation and/or custom tweening
+  return result;
+}
+
+// Extract typewriter tags from a dialog string: `Wait[pause=0.5]... [speed=5]What?[/speed]`
+// Returns the text to display (KAPLAY style tags are kept), the visible
+// characters, and the tags indexed by the visible character they precede
+function parseTypewriterTags(string) {
+  const result = { text: "", visibleText: "", tags: {} };
+  let rest = string;
+
+  while (rest !== "") {
+    let match;
+    if ((match = rest.match(/^\[(speed|pause)=(\d*\.?\d+)\]/))) {
+      (result.tags[result.visibleText.length] ||= []).push({
+        [match[1]]: Number(match[2]),
+      });
+    } else if ((match = rest.match(/^\[\/speed\]/))) {
+      // Back to the configured speed
+      (result.tags[result.visibleText.length] ||= []).push({ speed: null });
+    } else if ((match = rest.match(/^\[\/?\w+\]/))) {
+      // KAPLAY style tag, not a visible character
+      result.text += match[0];
+    } else {
+      // Escaped (`\[`) or regular character
+      match = rest.match(/^\\?[^]/);
+      result.text += match[0];
+      result.visibleText += match[0].slice(-1);
+    }
+    rest = rest.slice(match[0].length);
+  }
+
+  return result;
+}
+
+// Reveal dialog text character by character, then call onRevealed
+// The reveal can be completed early with textBoxObj.typewriter.complete()
+function typewrite(textBoxObj, textObj, conf, typewriterText, onRevealed) {
+  const tw = conf.typewriter;
+  const { visibleText, tags } = typewriterText;
+
+  if (!tw.speed || visibleText.length <= (typewriterText.start ?? 0)) {
+    onRevealed();
+    return;
+  }
+
+  let revealed = typewriterText.start ?? 0; // Number of visible characters
+  let speed = tw.speed;
+  let delay = 0; // Time left before revealing the next character
+
+  // Hide characters not revealed yet, on top of any existing transform
+  const baseTransform = textObj.textTransform;
+  textObj.textTransform = (idx, ch) => ({
+    ...(typeof baseTransform === "function"
+      ? baseTransform(idx, ch)
+      : baseTransform),
+    opacity: idx < revealed ? 1 : 0,
+  });
+
+  // Choices are shown once revealed
+  textBoxObj.get("loquaceChoice").forEach((c) => (c.hidden = true));
+
+  const typewriter = {
+    revealing: true,
+    complete() {
+      if (!this.revealing) return;
+      revealed = visibleText.length;
+      finish();
+    },
+    stop() {
+      this.revealing = false;
+      revealEvent.cancel();
+    },
+  };
+  textBoxObj.typewriter = typewriter;
+
+  function finish() {
+    typewriter.stop();
+    onRevealed();
+  }
+
+  const revealEvent = textBoxObj.onUpdate(() => {
+    delay -= dt();
+
+    while (delay <= 0 && revealed < visibleText.length) {
+      // Apply tags preceding this character once
+      (tags[revealed] || []).forEach((tag) => {
+        if ("speed" in tag) speed = tag.speed || tw.speed;
+        if (tag.pause) delay += tag.pause;
+      });
+      delete tags[revealed];
+      if (delay > 0) break;
+
+      const ch = visibleText[revealed];
+      revealed++;
+
+      if (tw.sound && ch.trim() !== "" && revealed % tw.soundEvery === 0)
+        play(tw.sound, {
+          ...tw.soundOptions,
+          volume: (tw.soundOptions.volume ?? 1) * config.audio.volume.voice,
+        });
+
+      delay += 1 / speed;
+      if (tw.punctuationPause[ch] && /\s/.test(visibleText[revealed]))
+        delay += tw.punctuationPause[ch];
+    }
+
+    if (revealed >= visibleText.length) finish();
+  });
+}
+
+// Bind a button definition ({ keyboard, gamepad }) to an action on a game object
+// Bound events are cancelled along with the object
+function onInputPress(obj, button, action) {
+  if (button.keyboard) obj.onKeyPress(button.keyboard, action);
+  if (button.gamepad) obj.onGamepadButtonPress(button.gamepad, action);
 }
 
 // From https://gomakethings.com/how-to-deep-merge-arrays-and-objects-with-javascript/